@@ -1,18 +1,36 @@
-import {Subject, Observable, defer} from 'rxjs';
+import {Subject, Observable, Subscription, defer, firstValueFrom, from, isObservable, of, timer, take} from 'rxjs';
 import QuickLRU from "quick-lru";
 import delegates from "delegates";
+import {SNAPSHOT_VERSION, defaultEncoders, encodeValue, decodeValue} from "./snapshot.js";
+import {policies, PolicyCache} from "./policies.js";
 
+export {SNAPSHOT_VERSION, defaultEncoders} from "./snapshot.js";
+export {MemoryStorage, DriveStorage} from "./storage.js";
+export {FIFOPolicy, LFUPolicy, SIEVEPolicy} from "./policies.js";
+export {syncSubject} from "./sync.js";
 
-function tryExtractKey(key) {
-    return object => {
-        if (!key) return object;
-        if (typeof key === 'string') {
-            key = key.split('.');
-        }
 
-        for (let i = 0; i < key.length; i++) {
-            if (object && key[i] in object) {
-                object = object[key[i]];
+/**
+ * Creates a function extracting the key of a value from a property path.
+ *
+ * @param {string|string[]|Function} [key] - A dotted path such as `'quote.symbol'`, the segments of a path such as
+ * `['quote', 'symbol']`, or an extractor function, returned as is. Without a key, values are their own keys.
+ * @returns {Function} A function that accepts a value and returns its key, or `undefined` if the path is missing.
+ *
+ * @example
+ * const extract = tryExtractKey('quote.symbol');
+ * extract({ quote: { symbol: 'AAPL' } }); // 'AAPL'
+ * extract({ trade: {} }); // undefined
+ */
+export function tryExtractKey(key) {
+    if (typeof key === 'function') return key;
+    if (!key) return object => object;
+    const path = typeof key === 'string' ? key.split('.') : [...key];
+
+    return object => {
+        for (const segment of path) {
+            if (object !== null && (typeof object === 'object' || typeof object === 'function') && segment in object) {
+                object = object[segment];
             } else {
                 return undefined;
             }
@@ -22,6 +40,222 @@ function tryExtractKey(key) {
     }
 }
 
+/**
+ * Creates a function combining the values at several property paths into one key, for values
+ * identified by more than one property. The key is a string, stable for equal parts, and
+ * `undefined` if any path is missing.
+ *
+ * @param {Array<string|string[]>} paths - The paths of the parts, as for `tryExtractKey`.
+ * @returns {Function} A function that accepts a value and returns its composite key.
+ *
+ * @example
+ * const quotes = new LRUReplaySubject({ key: compositeKey(['exchange', 'symbol']) });
+ * quotes.select(compositeKey(['exchange', 'symbol'])({ exchange: 'NYSE', symbol: 'IBM' }));
+ */
+export function compositeKey(paths) {
+    const extractors = paths.map(path => tryExtractKey(path));
+
+    return object => {
+        const parts = [];
+        for (const extract of extractors) {
+            const part = extract(object);
+            if (part === undefined) return undefined;
+            parts.push(part);
+        }
+        return JSON.stringify(parts);
+    };
+}
+
+/**
+ * Roughly estimates the number of bytes a value occupies in memory: two per string character,
+ * eight per number, the byte length of binary data, and the sum of the keys and values of arrays,
+ * maps, sets and objects. Values referenced more than once are counted once.
+ *
+ * @param {*} value - The value to measure.
+ * @returns {number} The estimated size in bytes.
+ */
+export function approximateSize(value) {
+    const seen = new Set();
+    const measure = value => {
+        switch (typeof value) {
+            case 'string':
+                return value.length * 2;
+            case 'number':
+            case 'bigint':
+                return 8;
+            case 'boolean':
+                return 4;
+            case 'object':
+                break;
+            default:
+                return 0;
+        }
+
+        if (value === null || seen.has(value)) return 0;
+        seen.add(value);
+
+        if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+            return value.byteLength;
+        }
+        if (value instanceof Date) {
+            return 8;
+        }
+
+        let size = 0;
+        if (value instanceof Map) {
+            for (const [k, v] of value) size += measure(k) + measure(v);
+        } else if (value instanceof Set || Array.isArray(value)) {
+            for (const v of value) size += measure(v);
+        } else {
+            for (const k of Object.keys(value)) size += measure(k) + measure(value[k]);
+        }
+        return size;
+    };
+
+    return measure(value);
+}
+
+/**
+ * Compares two values by identity, or by the identity of their own enumerable properties when both
+ * are objects. Arrays are compared element by element.
+ *
+ * @param {*} a - A value.
+ * @param {*} b - Another value.
+ * @returns {boolean} `true` if the values are shallowly equal.
+ */
+export function shallowEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+/**
+ * Compares two values structurally: plain objects and arrays by their contents, dates by their time,
+ * maps and sets by their entries, and binary data byte by byte. Other values are compared by identity.
+ *
+ * @param {*} a - A value.
+ * @param {*} b - Another value.
+ * @returns {boolean} `true` if the values are deeply equal.
+ */
+export function deepEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+    if (a instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    if (ArrayBuffer.isView(a)) {
+        if (a.byteLength !== b.byteLength) return false;
+        const x = new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+        const y = new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+        return x.every((byte, i) => byte === y[i]);
+    }
+    if (a instanceof Map) {
+        if (a.size !== b.size) return false;
+        for (const [key, value] of a) {
+            if (!b.has(key) || !deepEqual(value, b.get(key))) return false;
+        }
+        return true;
+    }
+    if (a instanceof Set) {
+        if (a.size !== b.size) return false;
+        for (const value of a) {
+            if (!b.has(value)) return false;
+        }
+        return true;
+    }
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * Creates a tombstone, which deletes a key from an `LRUReplaySubject` configured with
+ * `onNullish: 'tombstone'` when passed to `next`.
+ *
+ * @param {*} key - The key to delete.
+ * @returns {Object} The tombstone `{key, deleted: true}`.
+ */
+export function tombstone(key) {
+    return {key, deleted: true};
+}
+
+/**
+ * Validates replay options.
+ *
+ * @param {Object} options - Replay options, as for `LRUReplaySubject#observe`.
+ * @throws {TypeError} If an option is invalid.
+ * @returns {Object} The options.
+ */
+function checkReplayOptions(options) {
+    const {order = 'descending', limit, window, chunkSize} = options;
+    if (order !== 'descending' && order !== 'ascending') {
+        throw new TypeError(`Invalid replay order: Expected 'ascending' or 'descending', got '${order}'`);
+    }
+    if (limit !== undefined && !(limit >= 0)) {
+        throw new TypeError('Invalid replay limit: Expected a number of at least 0');
+    }
+    if (window !== undefined && !(window >= 0)) {
+        throw new TypeError('Invalid replay window: Expected a number of at least 0');
+    }
+    if (chunkSize !== undefined && !(chunkSize >= 1)) {
+        throw new TypeError('Invalid replay chunk size: Expected a number of at least 1');
+    }
+    return options;
+}
+
+/**
+ * Creates the cache holding the entries of a subject.
+ *
+ * @param {string|Function} policy - `'lru'`, the name of another built-in policy, or a function returning
+ * a policy object.
+ * @param {Object} options - The `maxSize`, `maxAge` and `onEviction` options of the cache.
+ * @throws {TypeError} If the policy is unknown.
+ * @returns {QuickLRU|PolicyCache} The cache.
+ */
+function createCache(policy, options) {
+    if (policy === 'lru') {
+        return new QuickLRU(options);
+    }
+    if (typeof policy === 'function') {
+        return new PolicyCache({...options, policy: policy()});
+    }
+    if (typeof policy === 'string' && Object.prototype.hasOwnProperty.call(policies, policy)) {
+        return new PolicyCache({...options, policy: new policies[policy]()});
+    }
+    throw new TypeError(`Invalid policy: Expected 'lru', 'lfu', 'fifo', 'sieve' or a function, got '${policy}'`);
+}
+
+/**
+ * Formats a key for error messages, quoting strings so that `'1'` and `1` tell apart.
+ *
+ * @param {*} key - The key.
+ * @returns {string} The formatted key.
+ */
+function describeKey(key) {
+    return typeof key === 'string' ? `'${key}'` : String(key);
+}
+
+/**
+ * Calls a loader and takes its first value.
+ *
+ * @param {Function} loader - Returns a value, a Promise of it, or an Observable whose first value is taken.
+ * @param {...*} args - Arguments for the loader.
+ * @returns {Promise<*>} Resolves to the value, or rejects with the error thrown or emitted by the loader.
+ */
+function loadValue(loader, ...args) {
+    return firstValueFrom(defer(() => {
+        const result = loader(...args);
+        return isObservable(result) || (result && typeof result.then === 'function') ? result : of(result);
+    }));
+}
+
 /**
  * An extension of the RxJS `Subject` that replays the last emitted values based on
  * a Least Recently Used (LRU) cache with optional size and age limits. This subject
@@ -35,8 +269,78 @@ function tryExtractKey(key) {
  * @param {number} [config.maxSize=Infinity] - Maximum number of items to store in the cache.
  * @param {number} [config.maxAge=Infinity] - Maximum age in milliseconds for each item before it expires.
  * @param {Subject} [config.onEviction=new Subject()] - A subject that emits evicted values when the cache reaches its limit.
- * @param {Function} [config.key] - Optional key extraction function for cache entries.
+ * @param {string|string[]|Function} [config.key] - The path of the key in each value, as for `tryExtractKey`, or a
+ * key extractor such as `compositeKey([...paths])`. Without it, values are their own keys.
  * @param {Function} [config.map] - Optional mapping function to override default key extraction behavior.
+ * @param {Function} [config.normalizeKey] - Normalizes every extracted key, such as `key => key.toUpperCase()`, and
+ * the keys given to `select`, `delete` and in tombstones.
+ * @param {string} [config.onMissingKey='passthrough-uncached'] - What `next` does with values whose key is
+ * `undefined`: `'throw'` throws a `TypeError`, `'reject'` reports them to `onRejected`, and
+ * `'passthrough-uncached'` emits them to live subscribers without caching them.
+ * @param {boolean} [config.promoteOnReplay=false] - When `true`, replaying entries to a subscriber marks them as used,
+ * like `get`, so that eviction policies keep them longer.
+ * @param {Subject} [config.onLoadError=new Subject()] - A subject that emits `{key, error}` for every failed load
+ * of `getOrLoad`.
+ * @param {number} [config.negativeMaxAge=0] - How long in milliseconds `getOrLoad` remembers a failed load, failing
+ * again with the same error instead of calling the loader. Failures are not remembered by default, and at most
+ * `config.maxSize` of them are, the oldest being forgotten first.
+ * @param {number} [config.staleAfter=Infinity] - Milliseconds after which a cached value is stale. Unlike values
+ * older than `maxAge`, stale values stay cached and are replayed, flagged by `observeWithMeta` and `isStale`.
+ * @param {Function} [config.revalidate] - Refreshes a stale value, receiving `(key, staleValue)` and returning the
+ * fresh value, a Promise of it or an Observable, which is emitted through `next` unless the entry was removed or
+ * written anew meanwhile. Called when a stale value is replayed or read with `get` or `getOrLoad`, at most once at
+ * a time per key. Failures, and fresh values with another key, go to `onLoadError`.
+ * @param {number} [config.revalidateInterval=1000] - The minimum time in milliseconds between two revalidations
+ * of the same entry.
+ * @param {Object} [config.secondary] - A storage adapter, such as `MemoryStorage` or `DriveStorage`, that entries
+ * evicted for size or weight are spilled to instead of being lost. See `rehydrate`. Spilled entries are dropped
+ * when their key is cached anew, deleted or cleared. Write errors go to `config.onStorageError`.
+ * @param {boolean} [config.notifySpilled=true] - Whether entries spilled to `config.secondary` are also reported to
+ * `onEviction`.
+ * @param {Function} [config.maxAgeFor] - Optional function receiving each value and returning its maxAge in
+ * milliseconds. Returning `undefined` falls back to `config.maxAge`.
+ * @param {boolean} [config.evictionEvents=false] - When `true`, `onEviction` emits an event
+ * `{key, value, reason, at}` for every entry leaving the cache, where `reason` is one of `'size'`,
+ * `'weight'`, `'expired'`, `'deleted'`, `'cleared'` or `'replaced'` and `at` is a timestamp in milliseconds.
+ * Otherwise it emits bare values for size, weight and expiry evictions only.
+ * @param {Array<Object>} [config.encoders=[]] - Additional value encoders for `toSnapshot` and `fromSnapshot`,
+ * tried before `defaultEncoders`. Encoders also apply to `config.storage`.
+ * @param {Object} [config.storage] - A storage adapter, such as `MemoryStorage` or `DriveStorage`, that the cache
+ * writes through to and is hydrated from. See `ready`.
+ * @param {Subject} [config.onStorageError=new Subject()] - A subject that emits the errors of `config.storage` and
+ * `config.secondary`: failed writes, and records that cannot be read or decoded.
+ * @param {Object} [config.replay={}] - What and how `subscribe` replays: the `order`, `limit`, `window`, `since`,
+ * `keys`, `scheduler` and `chunkSize` options described for `observe`.
+ * @param {number} [config.maxWeight=Infinity] - Maximum total weight of the cached values. Entries are evicted in
+ * ascending order, least recently used first by default, until the total fits, and `next` throws a `RangeError` for
+ * a value heavier than the maximum.
+ * @param {Function} [config.sizeOf] - Returns the weight of a value, receiving the value and its key. Defaults to
+ * `approximateSize` when `config.maxWeight` is set.
+ * @param {SchedulerLike} [config.scheduler] - When given, entries are removed and reported to `onEviction` as soon
+ * as they expire, using timers of this scheduler, and all times are read from it. Without a scheduler, expiry is
+ * noticed the next time the cache is accessed. Pass a `TestScheduler` to test expiry in virtual time.
+ * @param {string|Function} [config.policy='lru'] - Which entries are evicted when the cache is full: `'lru'` the
+ * least recently used, `'lfu'` the least frequently updated, `'fifo'` the oldest, `'sieve'` the oldest not updated
+ * recently, or a function returning a custom policy object (see `policies.js`). The policy also sets the order of
+ * `entriesAscending`, `entriesDescending` and replays.
+ * @param {Function} [config.merge] - Reduces a value with the value already cached under its key, receiving
+ * `(previous, incoming, key)` and returning the value to cache. Not called for keys that are not cached.
+ * @param {string} [config.emit='merged'] - What live subscribers receive when `config.merge` is set: `'merged'`
+ * the value returned by `config.merge`, or `'incoming'` the value passed to `next`. Replays are always merged.
+ * @param {boolean|Function} [config.distinct=false] - Suppresses values equal to the value cached under their key:
+ * `true` compares with `shallowEqual`, a function `(previous, incoming)` returning `true` for equal values is used
+ * instead, such as `deepEqual`. Suppressed values refresh the recency and expiry of the cached value without being
+ * emitted or reported to `changes$`, and are counted by `suppressed`.
+ * @param {string} [config.onNullish='ignore'] - What `next` does with `null` and `undefined`: `'ignore'` drops them,
+ * `'throw'` throws a `TypeError`, `'error'` errors the subject with one. `'tombstone'` drops them too, and treats
+ * values with `deleted: true`, such as those made by `tombstone(key)`, as deletions of the key given by their `key`
+ * property, or extracted by `config.key` or `config.map` if they have none. Tombstones are emitted to live
+ * subscribers but never cached.
+ * @param {Function} [config.validate] - Checks each value passed to `next`, returning `false` or throwing to reject
+ * it, as a schema's parse function would. Rejected values are neither cached nor emitted, but reported to
+ * `onRejected`.
+ * @param {Subject} [config.onRejected=new Subject()] - A subject that emits `{value, reason}` for every value
+ * rejected by `config.validate`, `reason` being the error thrown or a `TypeError` if it returned `false`.
  *
  * @example
  * // Basic usage with a max cache size of 5 items
@@ -54,8 +358,102 @@ function tryExtractKey(key) {
  * subject.next('b');
  * subject.next('c'); // 'a' is evicted
  *
+ * @example
+ * // Giving individual values their own expiry
+ * const subject = new LRUReplaySubject({ maxAge: 60 * 60 * 1000, key: 'id' });
+ * subject.next({ id: 'reference', data: [] }); // Expires after an hour
+ * subject.next({ id: 'session', token: 'abc' }, { maxAge: 5000 }); // Expires after five seconds
+ *
+ * @example
+ * // Finding out why entries left the cache
+ * const subject = new LRUReplaySubject({ maxSize: 2, evictionEvents: true });
+ * subject.onEviction.subscribe(({ key, reason }) => console.log(key, reason));
+ * subject.next('a');
+ * subject.delete('a'); // Logs: a deleted
+ *
+ * @example
+ * // Replaying an event log in chronological order
+ * const log = new LRUReplaySubject({ maxSize: 1000, replay: { order: 'ascending' } });
+ *
+ * @example
+ * // Reporting expired values on time
+ * const subject = new LRUReplaySubject({ maxAge: 1000, scheduler: asyncScheduler });
+ * subject.onEviction.subscribe(value => console.log('Expired:', value));
+ * subject.next('a'); // Logs "Expired: a" after a second
+ *
+ * @example
+ * // Keeping the cache across restarts
+ * const subject = new LRUReplaySubject({ maxSize: 100, storage: new DriveStorage(new LocalDrive('./cache')) });
+ * subject.subscribe(value => console.log(value)); // Replays the stored values once hydrated
+ * await subject.ready;
+ *
+ * @example
+ * // Keeping at most about 50 MB of payloads
+ * const subject = new LRUReplaySubject({ key: 'id', maxWeight: 50e6, sizeOf: value => value.payload.byteLength });
+ *
+ * @example
+ * // Keeping the symbols quoted most often
+ * const quotes = new LRUReplaySubject({ key: 'symbol', maxSize: 100, policy: 'lfu' });
+ *
+ * @example
+ * // Folding partial updates into the full state of each symbol
+ * const quotes = new LRUReplaySubject({ key: 'symbol', merge: (previous, incoming) => ({...previous, ...incoming}) });
+ * quotes.next({ symbol: 'AAPL', price: 190, volume: 1000 });
+ * quotes.next({ symbol: 'AAPL', price: 191 }); // Caches and emits { symbol: 'AAPL', price: 191, volume: 1000 }
+ *
+ * @example
+ * // Re-rendering only when a polled status changes
+ * const statuses = new LRUReplaySubject({ key: 'id', distinct: deepEqual });
+ * setInterval(async () => (await fetchStatuses()).forEach(status => statuses.next(status)), 1000);
+ *
+ * @example
+ * // Propagating deletions through the stream
+ * const users = new LRUReplaySubject({ key: 'id', onNullish: 'tombstone' });
+ * users.next({ id: 'u1', name: 'Ada' });
+ * users.next(tombstone('u1')); // Deletes 'u1' and emits { key: 'u1', deleted: true } to live subscribers
+ *
+ * @example
+ * // Keeping malformed quotes out of the cache
+ * const quotes = new LRUReplaySubject({ key: 'symbol', validate: quote => Number.isFinite(quote.price) });
+ * quotes.onRejected.subscribe(({ value, reason }) => metrics.increment('quotes.rejected'));
+ *
+ * @example
+ * // Caching slow lookups in front of a service
+ * const users = new LRUReplaySubject({ key: 'id', maxSize: 1000, maxAge: 60000 });
+ * const user = await users.getOrLoad(id, id => fetchUser(id));
+ *
+ * @example
+ * // Showing prices older than a second while refreshing them, and dropping them after a minute
+ * const prices = new LRUReplaySubject({
+ *     key: 'symbol',
+ *     staleAfter: 1000,
+ *     maxAge: 60000,
+ *     revalidate: symbol => fetchPrice(symbol)
+ * });
+ *
+ * @example
+ * // Keeping the last hundred trades in memory and the rest on disk
+ * const trades = new LRUReplaySubject({
+ *     key: 'id',
+ *     maxSize: 100,
+ *     secondary: new DriveStorage(new LocalDrive('./trades'))
+ * });
+ * await trades.rehydrate({ keys: ['t-42'] });
+ *
  * @property {number} size - The current size of the cache.
- * @property {Subject} onEviction - Emits values that are removed from the cache when the LRU limit is reached.
+ * @property {number} weight - The total weight of the cached values.
+ * @property {number} suppressed - The number of values not emitted because of `config.distinct`.
+ * @property {Subject} onEviction - Emits values, or eviction events with `config.evictionEvents`, of entries
+ * removed from the cache.
+ * @property {Subject} onRejected - Emits `{value, reason}` for values rejected by `config.validate`.
+ * @property {Subject} onLoadError - Emits `{key, error}` for loads of `getOrLoad` that failed.
+ * @property {Subject} onStorageError - Emits the errors of `config.storage` and `config.secondary`.
+ * @property {Observable} changes$ - Emits a change `{type, key, value, previous}` for every mutation of the cache:
+ * `'set'` and `'update'` when a value is cached under a new or existing key, `'delete'` for `delete()`, `'evict'`
+ * for size, weight and expiry evictions (with their `reason`), `'clear'` for `clear()` and `'resize'` for `resize()`, where
+ * `value` and `previous` are the new and old maximum sizes. `previous` holds the replaced or removed value.
+ * @property {Promise<void>} ready - Resolves once the cache is hydrated from `config.storage`, or rejects if
+ * listing the storage failed. Subscriptions made before then replay once it settles.
  */
 export class LRUReplaySubject extends Subject {
     constructor(config = {}) {
@@ -66,135 +464,1627 @@ export class LRUReplaySubject extends Subject {
             maxAge = Number.POSITIVE_INFINITY,
             onEviction = new Subject(),
             key,
-            map
+            map,
+            maxAgeFor,
+            evictionEvents = false,
+            encoders = [],
+            storage,
+            onStorageError = new Subject(),
+            replay = {},
+            scheduler,
+            maxWeight = Number.POSITIVE_INFINITY,
+            sizeOf,
+            policy = 'lru',
+            merge,
+            emit = 'merged',
+            distinct = false,
+            onNullish = 'ignore',
+            validate,
+            onRejected = new Subject(),
+            normalizeKey,
+            onMissingKey = 'passthrough-uncached',
+            promoteOnReplay = false,
+            onLoadError = new Subject(),
+            negativeMaxAge = 0,
+            staleAfter = Number.POSITIVE_INFINITY,
+            revalidate,
+            revalidateInterval = 1000,
+            secondary,
+            notifySpilled = true
         } = config;
 
-        this._mapper = map || tryExtractKey(key);
-        this._cache = new QuickLRU({
+        if (emit !== 'merged' && emit !== 'incoming') {
+            throw new TypeError(`Invalid emit option: Expected 'merged' or 'incoming', got '${emit}'`);
+        }
+        if (!['ignore', 'throw', 'error', 'tombstone'].includes(onNullish)) {
+            throw new TypeError(`Invalid onNullish option: Expected 'ignore', 'throw', 'error' or 'tombstone', got '${onNullish}'`);
+        }
+        if (!['throw', 'reject', 'passthrough-uncached'].includes(onMissingKey)) {
+            throw new TypeError(`Invalid onMissingKey option: Expected 'throw', 'reject' or 'passthrough-uncached', got '${onMissingKey}'`);
+        }
+        if (typeof distinct !== 'boolean' && typeof distinct !== 'function') {
+            throw new TypeError('Invalid distinct option: Expected a boolean or a function');
+        }
+
+        const extract = map || tryExtractKey(key);
+        this._normalizeKey = normalizeKey || (key => key);
+        this._mapper = normalizeKey
+            ? value => {
+                const key = extract(value);
+                return key === undefined ? undefined : normalizeKey(key);
+            }
+            : extract;
+        this._onMissingKey = onMissingKey;
+        this._promoteOnReplay = promoteOnReplay;
+        this.onLoadError = onLoadError;
+        this._negativeMaxAge = negativeMaxAge;
+        this._loads = new Map();
+        // Failures remembered for `negativeMaxAge`, the oldest first, at most `maxSize` of them.
+        this._failures = new Map();
+        this._maxFailures = maxSize;
+        this._staleAfter = staleAfter;
+        this._revalidateValue = revalidate;
+        this._revalidateInterval = revalidateInterval;
+        this._revalidations = new Map();
+        this._secondary = secondary;
+        this._notifySpilled = notifySpilled;
+        this._spills = Promise.resolve();
+        this._merge = merge;
+        this._emitIncoming = emit === 'incoming';
+        this._equals = distinct === true ? shallowEqual : distinct || null;
+        this._suppressed = 0;
+        this._onNullish = onNullish;
+        this._validate = validate;
+        this.onRejected = onRejected;
+        this._replay = checkReplayOptions(replay);
+        this._maxAge = maxAge;
+        this._maxAgeFor = maxAgeFor || (() => undefined);
+        this._evictionEvents = evictionEvents;
+        this._encoders = [...encoders, ...defaultEncoders];
+        this._meta = new Map();
+        this._maxWeight = maxWeight;
+        this._sizeOf = sizeOf || (Number.isFinite(maxWeight) ? approximateSize : null);
+        this._weight = 0;
+        this._scheduler = scheduler;
+        this._timers = new Map();
+        this._cache = createCache(policy, {
             maxSize,
             maxAge,
-            onEviction(key, value) {
-                onEviction.next(value);
+            onEviction: (key, value) => {
+                const meta = this._meta.get(key);
+                this._forget(key);
+                this._evict(key, value, meta && meta.expiresAt <= this._now() ? 'expired' : 'size', meta);
             }
         });
 
         delegates(this, "_cache")
             .getter("size")
-            .method("resize")
-            .method("delete")
-            .method("clear")
             .method("entries")
+            .method("keys")
             .method("values")
             .method("entriesAscending")
             .method("entriesDescending");
 
         this.onEviction = onEviction;
+        this._changes = new Subject();
+        this.changes$ = this._changes.asObservable();
+
+        this._storage = storage;
+        this.onStorageError = onStorageError;
+        this._seq = 0;
+        this._hydrated = !storage;
+        this._awaitingHydration = [];
+        // Keys removed and whether the cache was cleared while hydrating, so that stored records do not
+        // bring them back.
+        this._removedWhileHydrating = new Set();
+        this._clearedWhileHydrating = false;
+        this.ready = storage ? this._hydrate() : Promise.resolve();
+        // Rejections of `ready` are for the caller to observe; writes wait for hydration regardless.
+        this._writes = this.ready.catch(() => {});
     }
 
     /**
-     * Emits a value to all subscribers and stores it in the cache.
+     * Loads the entries held by `config.storage` into the cache. Values emitted in the meantime
+     * stay the most recently used entries.
      *
-     * @param {*} value - The value to emit. Must not be `null` or `undefined`.
+     * @private
+     * @returns {Promise<void>} Resolves once the cache is hydrated.
      */
-    next(value) {
-        if (value === undefined || value === null) {
-            console.error('Cannot add undefined or null value to LRU cache');
-            return;
+    async _hydrate() {
+        try {
+            const records = await this._listRecords(this._storage);
+            records.sort((a, b) => a.seq - b.seq);
+
+            const now = this._now();
+            const pendingKeys = new Set(this._cache.keys());
+
+            // Records are all decoded before the cache is touched, and bad ones are skipped one at a time.
+            const loaded = [];
+            for (const record of records) {
+                this._seq = Math.max(this._seq, record.seq);
+                try {
+                    const key = decodeValue(record.key, this._encoders);
+                    if (pendingKeys.has(key)) continue;
+                    const removed = this._clearedWhileHydrating || this._removedWhileHydrating.has(key);
+                    if (removed || (record.expiresAt !== null && record.expiresAt <= now)) {
+                        this._write(() => this._storage.del(this._storageId(key)));
+                    } else {
+                        const value = decodeValue(record.value, this._encoders);
+                        loaded.push([key, value, {
+                            insertedAt: record.insertedAt === undefined ? now : record.insertedAt,
+                            expiresAt: record.expiresAt === null ? Number.POSITIVE_INFINITY : record.expiresAt
+                        }]);
+                    }
+                } catch (error) {
+                    this.onStorageError.next(error);
+                }
+            }
+
+            const pending = [...this._cache.entriesAscending()]
+                .map(([key, value]) => [key, value, this._meta.get(key)]);
+            this._cache.clear();
+            this._forgetAll();
+
+            for (const [key, value, meta] of loaded) {
+                this._store(key, value, meta);
+                this._changes.next({type: 'set', key, value, previous: undefined});
+            }
+            for (const [key, value, meta] of pending) {
+                this._store(key, value, meta);
+            }
+        } finally {
+            this._hydrated = true;
+            this._removedWhileHydrating.clear();
+            for (const subscribe of this._awaitingHydration.splice(0)) {
+                subscribe();
+            }
         }
-        this._cache.set(this._mapper(value), value);
-        super.next(value);
     }
 
     /**
-     * Subscribes to the subject, replaying cached values in descending order of recency.
+     * Lists the records of a storage adapter, reporting the records it could not read.
      *
-     * @param {function|Object} subscriber - A function or observer object that receives emitted values.
-     * @throws {TypeError} If the subscriber is neither a function nor an object with a `next` method.
-     * @returns {Subscription} A subscription object that can be used to unsubscribe.
+     * @private
+     * @param {Object} storage - The storage adapter.
+     * @returns {Promise<Array<Object>>} Resolves to the records read.
      */
-    subscribe(subscriber) {
-        // Allow for an empty object or an object with next, complete, or error methods
-        if (typeof subscriber === 'function' || (subscriber && typeof subscriber === 'object')) {
-            // Replay values from the cache only if there is a `next` handler
-            if (typeof subscriber === 'function' || (subscriber && typeof subscriber.next === 'function')) {
-                for (const [, value] of this._cache.entriesDescending()) {
-                    (typeof subscriber === 'function' ? subscriber : subscriber.next).call(subscriber, value);
-                }
+    async _listRecords(storage) {
+        const records = [];
+        for await (const record of await storage.list()) {
+            if (record instanceof Error) {
+                this.onStorageError.next(record);
+            } else {
+                records.push(record);
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Queues a write to `config.storage` behind the writes made before it.
+     *
+     * @private
+     * @param {Function} operation - A function returning a promise for the write.
+     */
+    _write(operation) {
+        if (!this._storage) return;
+        this._writes = this._writes.then(operation).catch(error => this.onStorageError.next(error));
+    }
+
+    /**
+     * @private
+     * @param {*} key - The key of an entry.
+     * @returns {string} The id of the entry in `config.storage`.
+     */
+    _storageId(key) {
+        return JSON.stringify(encodeValue(key, this._encoders));
+    }
+
+    /**
+     * Queues a write to `config.secondary` behind the writes made before it.
+     *
+     * @private
+     * @param {Function} operation - A function returning a promise for the write.
+     */
+    _spill(operation) {
+        this._spills = this._spills.then(operation).catch(error => this.onStorageError.next(error));
+    }
+
+    /**
+     * @private
+     * @param {*} key - The key of an entry.
+     * @param {*} value - The value of the entry.
+     * @param {Object} meta - The metadata of the entry.
+     * @returns {Object} The record of the entry for `config.storage` and `config.secondary`, without its `seq`.
+     */
+    _record(key, value, meta) {
+        return {
+            key: encodeValue(key, this._encoders),
+            value: encodeValue(value, this._encoders),
+            insertedAt: meta.insertedAt,
+            expiresAt: Number.isFinite(meta.expiresAt) ? meta.expiresAt : null
+        };
+    }
+
+    /**
+     * Waits for every pending write to `config.storage` and `config.secondary`.
+     *
+     * @returns {Promise<void>} Resolves once the storage reflects the cache.
+     */
+    flush() {
+        return Promise.all([this._writes, this._spills]).then(() => undefined);
+    }
+
+    /**
+     * Moves entries spilled to `config.secondary` back into the cache, selected by key or by the time
+     * they were cached. Entries that have expired in the meantime are dropped, and keys cached anew
+     * since they were spilled keep their newer value. Rehydrated entries are reported to `changes$`
+     * but not emitted to subscribers.
+     *
+     * @param {Object} [query={}] - Which entries to rehydrate. Without `keys`, `since` or `until`, all of them.
+     * @param {Iterable} [query.keys] - The keys of the entries.
+     * @param {number|Date} [query.since] - Only entries cached at or after this time.
+     * @param {number|Date} [query.until] - Only entries cached before this time.
+     * @param {Object} [options={}] - Options for the rehydration.
+     * @param {function|Object} [options.replayTo] - A function or observer receiving the rehydrated values,
+     * from the oldest to the newest.
+     * @throws {TypeError} If there is no `config.secondary`.
+     * @returns {Promise<Array>} Resolves to the rehydrated values, from the oldest to the newest.
+     *
+     * @example
+     * // Showing the history of the past day, most of which was spilled
+     * await trades.rehydrate({ since: Date.now() - 86400000 }, { replayTo: trade => chart.add(trade) });
+     */
+    async rehydrate(query = {}, options = {}) {
+        if (!this._secondary) {
+            throw new TypeError('Cannot rehydrate without a secondary store');
+        }
+        const {keys} = query;
+        const since = query.since instanceof Date ? query.since.getTime() : query.since;
+        const until = query.until instanceof Date ? query.until.getTime() : query.until;
+        const {replayTo} = options;
+
+        await this._spills;
+        let records = [];
+        if (keys) {
+            for (const key of keys) {
+                const record = await this._secondary.get(this._storageId(this._normalizeKey(key)));
+                if (record) records.push(record);
             }
         } else {
-            throw new TypeError('Invalid subscriber: Expected a function or an object');
+            records = await this._listRecords(this._secondary);
         }
+        records.sort((a, b) => a.insertedAt - b.insertedAt || a.seq - b.seq);
 
-        // Proceed with the standard subscription process
-        return super.subscribe(subscriber);
+        const now = this._now();
+        const values = [];
+        for (const record of records) {
+            if (since !== undefined && record.insertedAt < since) continue;
+            if (until !== undefined && record.insertedAt >= until) continue;
+
+            let key;
+            let value;
+            try {
+                key = decodeValue(record.key, this._encoders);
+                value = decodeValue(record.value, this._encoders);
+            } catch (error) {
+                this.onStorageError.next(error);
+                continue;
+            }
+            this._spill(() => this._secondary.del(this._storageId(key)));
+            if (record.expiresAt !== null && record.expiresAt <= now) continue;
+            if (this._cache.has(key)) continue;
+
+            const maxAge = record.expiresAt === null ? Number.POSITIVE_INFINITY : record.expiresAt - now;
+            this._set(key, value, maxAge, record.insertedAt);
+            values.push(value);
+        }
+
+        if (replayTo) {
+            const observer = typeof replayTo === 'function' ? {next: replayTo} : replayTo;
+            for (const value of values) {
+                observer.next(value);
+            }
+        }
+        return values;
     }
 
-}
+    /**
+     * The total weight of the cached entries as measured by `config.sizeOf`, or `0` when neither
+     * `config.sizeOf` nor `config.maxWeight` is set.
+     *
+     * @returns {number} The total weight.
+     */
+    get weight() {
+        return this._weight;
+    }
+
+    /**
+     * The number of values `next` did not emit because of `config.distinct`.
+     *
+     * @returns {number} The number of suppressed emissions.
+     */
+    get suppressed() {
+        return this._suppressed;
+    }
 
+    /**
+     * @private
+     * @returns {number} The current time of `config.scheduler`, or of the system clock without one.
+     */
+    _now() {
+        return this._scheduler ? this._scheduler.now() : Date.now();
+    }
 
-/**
- * An RxJS operator that shares a source Observable among multiple subscribers using an `LRUReplaySubject`
- * to replay recently emitted values. The cache's behavior (size, expiration, etc.) is configurable.
- *
- * This operator is useful when you want to share a source Observable with multiple subscribers,
- * replaying recent values for each new subscriber while limiting the cache to a specific size
- * or time duration. The source subscription remains active as long as there is at least one subscriber.
- *
- * @function
- * @param {Object} [config={}] - Configuration for the underlying `LRUReplaySubject`.
- * @param {number} [config.maxSize=Infinity] - Maximum number of items to store in the cache.
- * @param {number} [config.maxAge=Infinity] - Maximum age in milliseconds for each item in the cache.
- * @param {Subject} [config.onEviction=new Subject()] - A subject that emits evicted values when the cache limit is reached.
- * @param {Function} [config.key] - Optional key extraction function for identifying items in the cache.
- * @param {Function} [config.map] - Optional mapping function to override default key extraction.
- *
- * @example
- * // Share source observable with a cache size limit of 5 items
- * const shared$ = source$.pipe(shareLRUReplay({ maxSize: 5 }));
- * shared$.subscribe(value => console.log('Subscriber 1:', value));
- * shared$.subscribe(value => console.log('Subscriber 2:', value));
- *
- * @example
- * // Share a source observable with a time-based cache limit of 10 seconds
- * const shared$ = source$.pipe(shareLRUReplay({ maxAge: 10000 }));
- * shared$.subscribe(value => console.log('Subscriber 1:', value));
- * setTimeout(() => {
- *     shared$.subscribe(value => console.log('Subscriber 2:', value)); // Receives cached values if within 10 seconds
- * }, 5000);
- *
- * @returns {Function} An operator function that takes a source Observable and returns a new Observable
- * that shares the source's emissions using an `LRUReplaySubject`.
- */
-export function shareLRUReplay(config = {}) {
-    return (source) => defer(() => {
-        const subject = new LRUReplaySubject(config);
-        let activeSubscribers = 0;
-
-        const subscription = source.subscribe({
-            next: (value) => subject.next(value),
-            error: (err) => {
-                subject.error(err);
-                console.error('Error in source observable:', err);
-            },
-            complete: () => subject.complete(),
-        });
+    /**
+     * Notifies `onEviction` that an entry has left the cache. Without `config.evictionEvents` only
+     * size, weight and expiry evictions are reported, as bare values. Entries evicted for size or
+     * weight are spilled to `config.secondary`.
+     *
+     * @private
+     * @param {*} key - The key of the entry.
+     * @param {*} value - The value of the entry.
+     * @param {string} reason - One of `'size'`, `'weight'`, `'expired'`, `'deleted'`, `'cleared'` or `'replaced'`.
+     * @param {Object} [meta] - The metadata the entry had.
+     */
+    _evict(key, value, reason, meta) {
+        const evicted = reason === 'size' || reason === 'weight' || reason === 'expired';
+        const spilled = Boolean(this._secondary) && (reason === 'size' || reason === 'weight');
+        if (spilled) {
+            const record = {...this._record(key, value, meta), seq: ++this._seq};
+            this._spill(() => this._secondary.put(this._storageId(key), record));
+        } else if (this._secondary && (reason === 'deleted' || reason === 'cleared')) {
+            this._spill(() => this._secondary.del(this._storageId(key)));
+        }
 
-        return new Observable(subscriber => {
-            activeSubscribers++;
-            const sub = subject.subscribe(subscriber);
+        const notify = !spilled || this._notifySpilled;
+        if (notify && this._evictionEvents) {
+            this.onEviction.next({key, value, reason, at: this._now()});
+        } else if (notify && evicted) {
+            this.onEviction.next(value);
+        }
 
-            // Cleanup function for subscriber
-            return () => {
-                try {
-                    sub.unsubscribe();
-                    activeSubscribers--;
-                    if (activeSubscribers === 0) {
-                        subscription.unsubscribe();
-                    }
-                } catch (err) {
-                    console.error('Error during cleanup:', err);
+        if (reason !== 'replaced') {
+            this._write(() => this._storage.del(this._storageId(key)));
+            if (!this._hydrated) {
+                this._removedWhileHydrating.add(key);
+            }
+        }
+
+        if (evicted) {
+            this._changes.next({type: 'evict', key, value: undefined, previous: value, reason});
+        } else if (reason === 'deleted') {
+            this._changes.next({type: 'delete', key, value: undefined, previous: value});
+        }
+    }
+
+    /**
+     * Emits a value to all subscribers and stores it in the cache. With `config.merge`, the value is
+     * first merged with the value cached under its key. With `config.distinct`, a value equal to the
+     * cached value of its key only refreshes the recency and expiry of the cached value. With
+     * `config.onNullish` set to `'tombstone'`, tombstones delete their key and are emitted to live
+     * subscribers only.
+     *
+     * @param {*} value - The value to emit. `null` and `undefined` are handled according to `config.onNullish`.
+     * @param {Object} [options={}] - Options for this value.
+     * @param {number} [options.maxAge] - Maximum age in milliseconds for this value, overriding
+     * `config.maxAgeFor` and `config.maxAge`.
+     * @throws {RangeError} If the value weighs more than `config.maxWeight`.
+     * @throws {TypeError} If the value is `null` or `undefined` and `config.onNullish` is `'throw'`, or has no key
+     * and `config.onMissingKey` is `'throw'`.
+     * Values failing `config.validate` are reported to `onRejected` instead of throwing.
+     */
+    next(value, options = {}) {
+        if (value === undefined || value === null) {
+            if (this._onNullish === 'throw') {
+                throw new TypeError('Cannot add undefined or null value to LRU cache');
+            }
+            if (this._onNullish === 'error') {
+                this.error(new TypeError('Cannot add undefined or null value to LRU cache'));
+            }
+            return;
+        }
+        if (this._isTombstone(value)) {
+            this._remove(this._tombstoneKey(value), 'deleted');
+            super.next(value);
+            return;
+        }
+        if (this._validate && !this._accept(value)) {
+            return;
+        }
+
+        const key = this._mapper(value);
+        if (key === undefined) {
+            if (this._onMissingKey === 'throw') {
+                throw new TypeError('Cannot cache a value without a key');
+            }
+            if (this._onMissingKey === 'reject') {
+                this.onRejected.next({value, reason: new TypeError('Cannot cache a value without a key')});
+            } else {
+                super.next(value);
+            }
+            return;
+        }
+
+        const cached = this._cache.has(key);
+        const previous = cached ? this._cache.peek(key) : undefined;
+        const merged = this._merge && cached ? this._merge(previous, value, key) : value;
+        const {maxAge = this._maxAgeFor(merged)} = options;
+
+        if (cached && this._equals && this._equals(previous, merged)) {
+            this._set(key, previous, maxAge, undefined, true);
+            this._suppressed++;
+            return;
+        }
+
+        this._set(key, merged, maxAge);
+        super.next(this._emitIncoming ? value : merged);
+    }
+
+    /**
+     * Applies a change received from another subject by `syncSubject`: caches a value with the time it
+     * was cached and its expiry and emits it to subscribers, or removes a key. Values are checked by
+     * `config.validate` and must have `key` as their key, but are not merged.
+     *
+     * @private
+     * @param {Object} change - `{key, value, insertedAt, expiresAt}` to cache a value, or `{key, deleted: true, reason}`
+     * to remove a key.
+     * @throws {RangeError} If the value weighs more than `config.maxWeight`.
+     * @throws {TypeError} If the value has another key.
+     * @returns {boolean} `true` if the change was applied, `false` if the value was rejected or has expired.
+     */
+    _applyRemote(change) {
+        const {key, value, insertedAt, expiresAt, deleted, reason = 'deleted'} = change;
+        if (deleted) {
+            this._remove(key, reason);
+            return true;
+        }
+
+        const now = this._now();
+        if (!(expiresAt > now) || (this._validate && !this._accept(value))) {
+            return false;
+        }
+        const valueKey = this._mapper(value);
+        if (valueKey !== key) {
+            throw new TypeError(`Received value has the key ${describeKey(valueKey)} instead of ${describeKey(key)}`);
+        }
+        this._set(key, value, expiresAt - now, insertedAt);
+        super.next(value);
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {*} key - The key of an entry.
+     * @returns {Object|undefined} The `insertedAt` and `expiresAt` times of the entry, or `undefined` if it is
+     * not cached.
+     */
+    _timesOf(key) {
+        const meta = this._meta.get(key);
+        return meta ? {insertedAt: meta.insertedAt, expiresAt: meta.expiresAt} : undefined;
+    }
+
+    /**
+     * Runs `config.validate` on a value, reporting it to `onRejected` if it fails.
+     *
+     * @private
+     * @param {*} value - A value passed to `next`.
+     * @returns {boolean} `true` if the value is valid.
+     */
+    _accept(value) {
+        let reason;
+        try {
+            if (this._validate(value) !== false) {
+                return true;
+            }
+            reason = new TypeError('Value failed validation');
+        } catch (err) {
+            reason = err;
+        }
+        this.onRejected.next({value, reason});
+        return false;
+    }
+
+    /**
+     * @private
+     * @param {*} value - A value passed to `next`.
+     * @returns {boolean} `true` if the value is a tombstone to be handled as a deletion.
+     */
+    _isTombstone(value) {
+        return this._onNullish === 'tombstone' && typeof value === 'object' && value !== null && value.deleted === true;
+    }
+
+    /**
+     * @private
+     * @param {Object} tombstone - A tombstone.
+     * @returns {*} The key the tombstone deletes: its `key` property, or the key extracted by
+     * `config.key` or `config.map` if it has none.
+     */
+    _tombstoneKey(tombstone) {
+        return Object.prototype.hasOwnProperty.call(tombstone, 'key')
+            ? this._normalizeKey(tombstone.key)
+            : this._mapper(tombstone);
+    }
+
+    /**
+     * Stores a value in the cache without emitting it to subscribers, and reports it to `changes$`.
+     *
+     * @private
+     * @param {*} key - The key of the entry.
+     * @param {*} value - The value of the entry.
+     * @param {number} [maxAge] - Maximum age in milliseconds, defaulting to `config.maxAge`.
+     * @param {number} [insertedAt] - The time the value was first cached, defaulting to now.
+     * @param {boolean} [refresh=false] - Whether the value is the cached value of the key, cached again
+     * to refresh its recency and expiry. Refreshes are not reported to `onEviction` and `changes$`.
+     */
+    _set(key, value, maxAge, insertedAt, refresh = false) {
+        const weight = this._sizeOf ? this._sizeOf(value, key) : undefined;
+        if (weight > this._maxWeight) {
+            throw new RangeError(`Value weighs ${weight}, more than the maxWeight of ${this._maxWeight}`);
+        }
+
+        let previous;
+        let replaced = false;
+        if (this._cache.has(key)) {
+            previous = this._cache.peek(key);
+            // Removing the previous entry first keeps QuickLRU from later reporting it as evicted
+            // from its old generation while the new value is still cached. Other policies keep the
+            // entry in place and count the update as a use.
+            if (this._cache instanceof QuickLRU) {
+                this._cache.delete(key);
+            }
+            this._forget(key);
+            if (!refresh) {
+                this._evict(key, previous, 'replaced');
+            }
+            replaced = true;
+        }
+
+        const now = this._now();
+        const meta = {
+            insertedAt: insertedAt === undefined ? now : insertedAt,
+            expiresAt: now + (maxAge === undefined ? this._maxAge : maxAge),
+            weight
+        };
+        this._store(key, value, meta);
+
+        // A spilled value of the key is older than this one.
+        if (this._secondary && !refresh) {
+            this._spill(() => this._secondary.del(this._storageId(key)));
+        }
+
+        if (this._storage) {
+            // Numbered as the write runs, after hydration has taken the `seq` past the stored records.
+            const record = this._record(key, value, meta);
+            this._write(() => this._storage.put(this._storageId(key), {...record, seq: ++this._seq}));
+        }
+
+        if (!refresh) {
+            this._changes.next(replaced
+                ? {type: 'update', key, value, previous}
+                : {type: 'set', key, value, previous: undefined});
+        }
+    }
+
+    /**
+     * Puts an entry into the underlying cache as is.
+     *
+     * @private
+     * @param {*} key - The key of the entry.
+     * @param {*} value - The value of the entry.
+     * @param {Object} meta - The entry's `insertedAt` and `expiresAt` times in milliseconds since the
+     * epoch, `expiresAt` being `Infinity` for entries that never expire, and optionally its `weight`.
+     */
+    _store(key, value, meta) {
+        this._forget(key);
+        if (this._sizeOf && meta.weight === undefined) {
+            meta.weight = this._sizeOf(value, key);
+        }
+        this._meta.set(key, meta);
+        this._weight += meta.weight || 0;
+        const maxAge = meta.expiresAt - this._now();
+
+        if (!this._scheduler) {
+            this._cache.set(key, value, {maxAge});
+        } else {
+            // QuickLRU only knows `Date.now()`, so expiry is left to the scheduler entirely.
+            this._cache.set(key, value, {maxAge: Number.POSITIVE_INFINITY});
+            if (Number.isFinite(maxAge)) {
+                this._timers.set(key, this._scheduler.schedule(() => {
+                    this._timers.delete(key);
+                    this._remove(key, 'expired');
+                }, Math.max(maxAge, 0)));
+            }
+        }
+
+        if (this._weight > this._maxWeight) {
+            // The entry just stored is kept even where the policy would evict it first, as it fits alone.
+            for (const [oldKey] of [...this._cache.entriesAscending()]) {
+                if (this._weight <= this._maxWeight) break;
+                if (oldKey !== key) this._remove(oldKey, 'weight');
+            }
+        }
+    }
+
+    /**
+     * Drops the metadata and scheduled expiry of an entry.
+     *
+     * @private
+     * @param {*} key - The key of the entry.
+     */
+    _forget(key) {
+        const meta = this._meta.get(key);
+        if (meta) {
+            this._weight -= meta.weight || 0;
+            this._meta.delete(key);
+        }
+        const timer = this._timers.get(key);
+        if (timer) {
+            timer.unsubscribe();
+            this._timers.delete(key);
+        }
+    }
+
+    /**
+     * Drops the metadata and scheduled expiries of all entries.
+     *
+     * @private
+     */
+    _forgetAll() {
+        this._meta.clear();
+        this._weight = 0;
+        for (const timer of this._timers.values()) {
+            timer.unsubscribe();
+        }
+        this._timers.clear();
+    }
+
+    /**
+     * Removes an entry from the cache and reports it to `onEviction`.
+     *
+     * @private
+     * @param {*} key - The key of the entry.
+     * @param {string} reason - The reason for the removal, as for `_evict`.
+     * @returns {boolean} `true` if the entry was cached and has been removed.
+     */
+    _remove(key, reason) {
+        if (!this._cache.has(key)) {
+            // Until hydrated, the key may still be held by `config.storage`, and it may have been spilled.
+            if (!this._hydrated && reason === 'deleted') {
+                this._removedWhileHydrating.add(key);
+                this._write(() => this._storage.del(this._storageId(key)));
+            }
+            if (this._secondary && reason === 'deleted') {
+                this._spill(() => this._secondary.del(this._storageId(key)));
+            }
+            return false;
+        }
+        const value = this._cache.peek(key);
+        const meta = this._meta.get(key);
+        this._cache.delete(key);
+        this._forget(key);
+        this._evict(key, value, reason, meta);
+        return true;
+    }
+
+    /**
+     * Reads the value cached under a key, marking the entry as used so that eviction policies keep it
+     * longer. Stale values are revalidated with `config.revalidate`.
+     *
+     * @param {*} key - The key of the entry.
+     * @returns {*} The cached value, or `undefined` if the key is not cached or has expired.
+     */
+    get(key) {
+        key = this._normalizeKey(key);
+        const value = this._cache.get(key);
+        if (value !== undefined) {
+            this._revalidate(key, value);
+        }
+        return value;
+    }
+
+    /**
+     * Reads the value cached under a key without marking the entry as used.
+     *
+     * @param {*} key - The key of the entry.
+     * @returns {*} The cached value, or `undefined` if the key is not cached or has expired.
+     */
+    peek(key) {
+        return this._cache.peek(this._normalizeKey(key));
+    }
+
+    /**
+     * Checks whether a key is cached, without marking the entry as used.
+     *
+     * @param {*} key - The key of the entry.
+     * @returns {boolean} `true` if the key is cached and has not expired.
+     */
+    has(key) {
+        return this._cache.has(this._normalizeKey(key));
+    }
+
+    /**
+     * Checks whether the value cached under a key is older than `config.staleAfter`.
+     *
+     * @param {*} key - The key of the entry.
+     * @returns {boolean} `true` if the key is cached and stale.
+     */
+    isStale(key) {
+        key = this._normalizeKey(key);
+        return this._cache.has(key) && this._isStale(this._meta.get(key));
+    }
+
+    /**
+     * @private
+     * @param {Object} meta - The metadata of an entry.
+     * @returns {boolean} `true` if the entry is stale.
+     */
+    _isStale(meta) {
+        return this._now() - meta.insertedAt >= this._staleAfter;
+    }
+
+    /**
+     * Refreshes a stale entry with `config.revalidate`, unless it is being or was recently revalidated.
+     * The fresh value is dropped if the entry was removed or replaced while revalidating.
+     *
+     * @private
+     * @param {*} key - The key of the entry.
+     * @param {*} value - The cached value.
+     */
+    _revalidate(key, value) {
+        const meta = this._meta.get(key);
+        if (!this._revalidateValue || !meta || !this._isStale(meta) || this._revalidations.has(key)) {
+            return;
+        }
+        const now = this._now();
+        if (meta.revalidatedAt !== undefined && now - meta.revalidatedAt < this._revalidateInterval) {
+            return;
+        }
+
+        meta.revalidatedAt = now;
+        const revalidation = loadValue(this._revalidateValue, key, value)
+            .then(fresh => {
+                // A value with another key would be cached apart, leaving the stale entry as it is.
+                const freshKey = this._mapper(fresh);
+                if (freshKey !== key) {
+                    throw new TypeError(`Revalidated value has the key ${describeKey(freshKey)} instead of ${describeKey(key)}`);
+                }
+                // An entry removed or written anew meanwhile is left as it is.
+                if (this._cache.has(key) && this._meta.get(key) === meta) {
+                    this.next(fresh);
+                }
+            })
+            .catch(error => this.onLoadError.next({key, error}))
+            .finally(() => this._revalidations.delete(key));
+        this._revalidations.set(key, revalidation);
+    }
+
+    /**
+     * Tells how long the value cached under a key has left before it expires.
+     *
+     * @param {*} key - The key of the entry.
+     * @returns {number|undefined} The remaining lifetime in milliseconds, `Infinity` for entries that never
+     * expire, or `undefined` if the key is not cached.
+     */
+    expiresIn(key) {
+        key = this._normalizeKey(key);
+        if (!this._cache.has(key)) {
+            return undefined;
+        }
+        return Math.max(this._meta.get(key).expiresAt - this._now(), 0);
+    }
+
+    /**
+     * Reads the value cached under a key, loading it on a miss. Concurrent calls for a key missing
+     * from the cache share a single call of the loader, whose value is then emitted through `next`
+     * and so cached and broadcast to subscribers, unless a value was cached under the key while
+     * loading, which wins over the loaded value. A load fails if the loader fails, or if `next` throws
+     * on the loaded value or does not cache it, as when `config.validate` rejects it. Failed loads are
+     * reported to `onLoadError` and not cached, unless `negativeMaxAge` is set.
+     *
+     * @param {*} key - The key of the entry.
+     * @param {Function} loader - Receives the key and returns the value, a Promise of it, or an Observable whose
+     * first value is used. The value must have `key` as its key, as extracted and normalized by the subject.
+     * @param {Object} [options={}] - Options for this load.
+     * @param {number} [options.maxAge] - Maximum age in milliseconds for the loaded value, as for `next`.
+     * @param {number} [options.negativeMaxAge] - How long to remember a failure of this load, overriding
+     * `config.negativeMaxAge`.
+     * @returns {Promise<*>} Resolves to the cached or loaded value, or rejects with the error of the failed load,
+     * a `TypeError` if the loaded value has another key or was not cached.
+     *
+     * @example
+     * app.get('/users/:id', async (req, res) => {
+     *     res.json(await users.getOrLoad(Number(req.params.id), id => db.users.find(id)));
+     * });
+     */
+    getOrLoad(key, loader, options = {}) {
+        const {maxAge, negativeMaxAge = this._negativeMaxAge} = options;
+        key = this._normalizeKey(key);
+
+        if (this._cache.has(key)) {
+            const value = this._cache.get(key);
+            this._revalidate(key, value);
+            return Promise.resolve(value);
+        }
+        const failure = this._failures.get(key);
+        if (failure) {
+            if (failure.expiresAt > this._now()) {
+                return Promise.reject(failure.error);
+            }
+            this._failures.delete(key);
+        }
+
+        let load = this._loads.get(key);
+        if (!load) {
+            load = loadValue(loader, key)
+                .then(value => {
+                    // A value with another key would be cached apart, leaving this key to load again.
+                    const loadedKey = this._mapper(value);
+                    if (loadedKey !== key) {
+                        throw new TypeError(`Loaded value has the key ${describeKey(loadedKey)} instead of ${describeKey(key)}`);
+                    }
+                    // A value cached while loading is newer than the loaded one.
+                    if (this._cache.has(key)) {
+                        return this._cache.peek(key);
+                    }
+                    // Errors thrown by `next`, and values it does not cache, fail the load like errors of the loader.
+                    this.next(value, {maxAge});
+                    if (!this._cache.has(key)) {
+                        throw new TypeError(`Loaded value for the key ${describeKey(key)} was not cached`);
+                    }
+                    return value;
+                })
+                .catch(error => {
+                    if (negativeMaxAge > 0) {
+                        this._rememberFailure(key, error, negativeMaxAge);
+                    }
+                    this.onLoadError.next({key, error});
+                    throw error;
+                })
+                .finally(() => this._loads.delete(key));
+            this._loads.set(key, load);
+        }
+        return load;
+    }
+
+    /**
+     * Remembers a failed load, forgetting the failures that have expired or are the oldest beyond
+     * `config.maxSize`.
+     *
+     * @private
+     * @param {*} key - The key that failed to load.
+     * @param {*} error - The error of the load.
+     * @param {number} negativeMaxAge - How long to remember the failure in milliseconds.
+     */
+    _rememberFailure(key, error, negativeMaxAge) {
+        const now = this._now();
+        this._failures.delete(key);
+        this._failures.set(key, {error, expiresAt: now + negativeMaxAge});
+        for (const [oldKey, failure] of this._failures) {
+            if (this._failures.size <= this._maxFailures && failure.expiresAt > now) break;
+            this._failures.delete(oldKey);
+        }
+    }
+
+    /**
+     * Removes an entry from the cache. Before `ready` settles, also keeps the entry from being loaded
+     * from `config.storage`.
+     *
+     * @param {*} key - The key of the entry to remove.
+     * @returns {boolean} `true` if the entry was cached and has been removed.
+     */
+    delete(key) {
+        return this._remove(this._normalizeKey(key), 'deleted');
+    }
+
+    /**
+     * Removes every entry from the cache, and forgets the failed loads of `getOrLoad`. Before `ready`
+     * settles, also discards the entries held by `config.storage`.
+     */
+    clear() {
+        if (!this._hydrated) {
+            this._clearedWhileHydrating = true;
+        }
+        const entries = [...this._cache.entriesAscending()];
+        this._cache.clear();
+        this._forgetAll();
+        this._failures.clear();
+        for (const [key, value] of entries) {
+            this._evict(key, value, 'cleared');
+        }
+        this._changes.next({type: 'clear', key: undefined, value: undefined, previous: undefined});
+    }
+
+    /**
+     * Changes the maximum size of the cache, evicting the entries that no longer fit, chosen by
+     * `config.policy`.
+     *
+     * @param {number} newSize - The new maximum size, greater than 0.
+     * @throws {TypeError} If `newSize` is not greater than 0.
+     */
+    resize(newSize) {
+        const previous = this._cache.maxSize;
+        this._cache.resize(newSize);
+        this._changes.next({type: 'resize', key: undefined, value: newSize, previous});
+    }
+
+    /**
+     * Exports the cache as a JSON-safe snapshot that `LRUReplaySubject.fromSnapshot` can restore.
+     *
+     * The snapshot has the shape `{version, createdAt, entries}`, where `entries` lists
+     * `{key, value, insertedAt, ttl}` objects from least to most recently used, `insertedAt` being
+     * the time the entry was cached and `ttl` its remaining lifetime in milliseconds or `null` for
+     * entries that never expire. Keys and values are
+     * encoded with `config.encoders` and `defaultEncoders`.
+     *
+     * @returns {Object} The snapshot.
+     */
+    toSnapshot() {
+        const now = this._now();
+        const entries = [];
+        for (const [key, value] of this._cache.entriesAscending()) {
+            const {insertedAt, expiresAt} = this._meta.get(key);
+            entries.push({
+                key: encodeValue(key, this._encoders),
+                value: encodeValue(value, this._encoders),
+                insertedAt,
+                ttl: Number.isFinite(expiresAt) ? Math.max(expiresAt - now, 0) : null
+            });
+        }
+
+        return {version: SNAPSHOT_VERSION, createdAt: now, entries};
+    }
+
+    /**
+     * Creates a subject holding the entries of a snapshot made by `toSnapshot`, in the same
+     * order of recency and with their remaining lifetimes.
+     *
+     * @param {Object} snapshot - The snapshot, or its parsed JSON.
+     * @param {Object} [config={}] - Configuration for the new subject, as for the constructor.
+     * @throws {TypeError} If the snapshot is malformed or of an unsupported version.
+     * @returns {LRUReplaySubject} The restored subject.
+     */
+    static fromSnapshot(snapshot, config = {}) {
+        if (!snapshot || !Array.isArray(snapshot.entries)) {
+            throw new TypeError('Invalid snapshot: Expected an object with an `entries` array');
+        }
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            throw new TypeError(`Unsupported snapshot version: ${snapshot.version}`);
+        }
+
+        const subject = new this(config);
+        for (const {key, value, insertedAt, ttl} of snapshot.entries) {
+            subject._set(
+                decodeValue(key, subject._encoders),
+                decodeValue(value, subject._encoders),
+                ttl === null ? Number.POSITIVE_INFINITY : ttl,
+                insertedAt
+            );
+        }
+
+        return subject;
+    }
+
+    /**
+     * Subscribes to the subject, replaying cached values as configured by `config.replay`, in
+     * descending order of recency by default. The subscriber receives the cached values as they were
+     * at the time of subscribing, then every later value, with none missed or repeated even when
+     * values are emitted while it is being replayed to.
+     *
+     * @param {function|Object} subscriber - A function or observer object that receives emitted values.
+     * @throws {TypeError} If the subscriber is neither a function nor an object with a `next` method.
+     * @returns {Subscription} A subscription object that can be used to unsubscribe.
+     */
+    subscribe(subscriber) {
+        // Allow for an empty object or an object with next, complete, or error methods
+        if (typeof subscriber !== 'function' && !(subscriber && typeof subscriber === 'object')) {
+            throw new TypeError('Invalid subscriber: Expected a function or an object');
+        }
+
+        return super.subscribe(subscriber);
+    }
+
+    /**
+     * @protected
+     * @param {Subscriber} subscriber - The subscriber made by `subscribe`.
+     * @returns {Subscription} The subscription to the subject.
+     */
+    _subscribe(subscriber) {
+        return this._subscribeWithReplay(subscriber, this._replay);
+    }
+
+    /**
+     * Subscribes an observer to live values only.
+     *
+     * @private
+     * @param {Object} observer - An observer with `next`, `error` and `complete` methods.
+     * @returns {Subscription} The subscription to the subject.
+     */
+    _subscribeLive(observer) {
+        return super._subscribe(observer);
+    }
+
+    /**
+     * Creates an Observable of the subject whose subscribers are replayed cached values according
+     * to `options` rather than `config.replay`. Options left out fall back to `config.replay`.
+     * The options only select what is replayed; live values are delivered unfiltered.
+     *
+     * @param {Object} [options={}] - Replay options.
+     * @param {string} [options.order='descending'] - `'descending'` replays the newest value first,
+     * `'ascending'` the oldest.
+     * @param {number} [options.limit=Infinity] - Replay at most this many of the newest values.
+     * @param {number} [options.window] - Replay only values cached within this many milliseconds.
+     * @param {number|Date} [options.since] - Replay only values cached at or after this time.
+     * @param {Array|Set|Function} [options.keys] - Replay only values with these keys, normalized by
+     * `config.normalizeKey`, or for which this function, receiving the key and value, returns `true`.
+     * @param {SchedulerLike} [options.scheduler] - Replay asynchronously in tasks of this scheduler instead of
+     * synchronously on subscription. The values cached at subscription time are replayed, and live values are
+     * held back until the replay is over.
+     * @param {number} [options.chunkSize=Infinity] - The number of values replayed per task of `options.scheduler`.
+     * @throws {TypeError} If an option is invalid.
+     * @returns {Observable} An Observable replaying the selected values, then emitting live values.
+     *
+     * @example
+     * // Replay the last ten events of the past minute in chronological order
+     * subject.observe({ order: 'ascending', limit: 10, window: 60000 }).subscribe(console.log);
+     *
+     * @example
+     * // Replay a large cache 500 values per animation frame
+     * subject.observe({ scheduler: animationFrameScheduler, chunkSize: 500 }).subscribe(render);
+     */
+    observe(options = {}) {
+        const replay = checkReplayOptions({...this._replay, ...options});
+        return new Observable(subscriber => this._subscribeWithReplay(subscriber, replay));
+    }
+
+    /**
+     * Like `observe`, but emits envelopes describing each value instead of bare values, and marks
+     * the end of the replay:
+     * - `{type: 'value', key, value, replayed, stale, insertedAt, expiresAt}` for each replayed or live
+     *   value, where `replayed` tells them apart, `stale` flags values older than `config.staleAfter`,
+     *   and `insertedAt` and `expiresAt` are times in milliseconds since the epoch, `expiresAt` being
+     *   `Infinity` for values that never expire.
+     * - `{type: 'live'}` once, after the replayed values and before the first live value.
+     *
+     * @param {Object} [options={}] - Replay options, as for `observe`.
+     * @throws {TypeError} If an option is invalid.
+     * @returns {Observable} An Observable of envelopes.
+     *
+     * @example
+     * subject.observeWithMeta().subscribe(event => {
+     *     if (event.type === 'live') console.log('Up to date');
+     *     else render(event.value, { stale: event.replayed });
+     * });
+     */
+    observeWithMeta(options = {}) {
+        const replay = checkReplayOptions({...this._replay, ...options});
+        return new Observable(subscriber => this._subscribeWithReplay(subscriber, replay, true));
+    }
+
+    /**
+     * @private
+     * @param {*} key - The key of a cached value.
+     * @param {*} value - The value.
+     * @param {boolean} replayed - Whether the value is replayed.
+     * @returns {Object} The envelope of the value for `observeWithMeta`.
+     */
+    _envelope(key, value, replayed) {
+        const meta = this._meta.get(key);
+        const {insertedAt, expiresAt} = meta || {};
+        return {type: 'value', key, value, replayed, stale: meta ? this._isStale(meta) : false, insertedAt, expiresAt};
+    }
+
+    /**
+     * Creates an Observable of the value cached under one key. It emits the cached value, if any,
+     * then every value emitted for the key. Keys are those produced by `config.key` or `config.map`, and are
+     * normalized by `config.normalizeKey`.
+     *
+     * @param {*} key - The key to watch.
+     * @param {Object} [options={}] - Options for the Observable.
+     * @param {string} [options.onRemove='complete'] - What happens when the entry is evicted, expires or is
+     * deleted: `'complete'` completes the Observable, `'emit'` emits `options.removedValue` and keeps
+     * watching, `'ignore'` keeps watching silently. Without `config.scheduler`, expiry is noticed when the
+     * cache is next accessed.
+     * @param {*} [options.removedValue] - The value emitted on removal with `onRemove: 'emit'`.
+     * @throws {TypeError} If `options.onRemove` is invalid.
+     * @returns {Observable} An Observable of the values of the key.
+     *
+     * @example
+     * const quotes = new LRUReplaySubject({ key: 'symbol' });
+     * quotes.select('AAPL').subscribe(quote => console.log(quote.price));
+     */
+    select(key, options = {}) {
+        const {onRemove = 'complete', removedValue} = options;
+        if (onRemove !== 'complete' && onRemove !== 'emit' && onRemove !== 'ignore') {
+            throw new TypeError(`Invalid onRemove option: Expected 'complete', 'emit' or 'ignore', got '${onRemove}'`);
+        }
+        key = this._normalizeKey(key);
+
+        return new Observable(subscriber => {
+            // Checked first, since finding the entry expired removes it.
+            const cached = this._cache.has(key);
+            let present = cached;
+
+            subscriber.add(this._changes.subscribe(change => {
+                if (change.type === 'set' || change.type === 'update') {
+                    if (change.key !== key) return;
+                    present = true;
+                    subscriber.next(change.value);
+                } else if (change.type === 'clear' || (change.type !== 'resize' && change.key === key)) {
+                    if (!present) return;
+                    present = false;
+                    if (onRemove === 'complete') {
+                        subscriber.complete();
+                    } else if (onRemove === 'emit') {
+                        subscriber.next(removedValue);
+                    }
+                }
+            }));
+
+            if (cached) {
+                const value = this._cache.peek(key);
+                subscriber.next(value);
+                this._revalidate(key, value);
+            }
+
+            subscriber.add(this._subscribeLive({
+                next: () => {},
+                error: err => subscriber.error(err),
+                complete: () => subscriber.complete()
+            }));
+        });
+    }
+
+    /**
+     * Creates an async iterator of the subject, for use with `for await`. It yields the cached values
+     * replayed according to `options`, then live values, and ends when the subject completes or throws
+     * its error. Live values wait in a buffer until they are asked for. The subscription to the subject
+     * ends with the loop.
+     *
+     * @param {Object} [options={}] - Options for the iterator, along with replay options as for `observe`.
+     * @param {number} [options.bufferSize=1024] - The number of live values kept while the consumer is busy.
+     * Replayed values do not count towards it.
+     * @param {string} [options.overflow='drop-oldest'] - What happens to a live value arriving with the buffer
+     * full: `'drop-oldest'` makes room by dropping the oldest buffered live value, `'drop-newest'` drops the
+     * arriving value, and `'error'` ends the subscription and throws a `RangeError` once the buffered values
+     * are consumed.
+     * @throws {TypeError} If an option is invalid.
+     * @returns {AsyncIterableIterator} An async iterator of the values.
+     *
+     * @example
+     * for await (const quote of quotes.iterate({ bufferSize: 100, overflow: 'error' })) {
+     *     await save(quote);
+     * }
+     */
+    iterate(options = {}) {
+        const {bufferSize = 1024, overflow = 'drop-oldest', ...replay} = options;
+        if (!(bufferSize >= 1)) {
+            throw new TypeError('`bufferSize` must be a number greater than or equal to 1');
+        }
+        if (overflow !== 'drop-oldest' && overflow !== 'drop-newest' && overflow !== 'error') {
+            throw new TypeError(`Invalid overflow option: Expected 'drop-oldest', 'drop-newest' or 'error', got '${overflow}'`);
+        }
+
+        return this._iterate(this.observeWithMeta(replay), bufferSize, overflow);
+    }
+
+    /**
+     * Iterates the subject with its default replay, as `iterate()` does.
+     *
+     * @returns {AsyncIterableIterator} An async iterator of the values.
+     *
+     * @example
+     * for await (const event of events) {
+     *     console.log(event);
+     * }
+     */
+    [Symbol.asyncIterator]() {
+        return this.iterate();
+    }
+
+    /**
+     * @private
+     * @param {Observable} source - The envelopes of `observeWithMeta`.
+     * @param {number} bufferSize - The number of live values kept.
+     * @param {string} overflow - The overflow policy.
+     * @returns {AsyncIterableIterator} An async iterator of the values.
+     */
+    _iterate(source, bufferSize, overflow) {
+        const buffer = [];
+        // The replayed values at the front of the buffer, which are not bounded.
+        let replayed = 0;
+        let live = false;
+        let done = false;
+        let failure = null;
+        // The `{resolve, reject}` of the calls to `next` waiting for a value.
+        const requests = [];
+        let subscription = null;
+
+        const settle = () => {
+            while (requests.length > 0 && (buffer.length > 0 || done)) {
+                const {resolve, reject} = requests.shift();
+                if (buffer.length > 0) {
+                    if (replayed > 0) replayed--;
+                    resolve({value: buffer.shift(), done: false});
+                } else if (failure) {
+                    reject(failure.error);
+                    failure = null;
+                } else {
+                    resolve({value: undefined, done: true});
+                }
+            }
+        };
+
+        // Ends the subscription, with `{error}` to throw once the buffer is consumed.
+        const finish = (result = null) => {
+            if (done) return;
+            done = true;
+            failure = result;
+            if (subscription) subscription.unsubscribe();
+            settle();
+        };
+
+        subscription = source.subscribe({
+            next: event => {
+                if (done) return;
+                if (event.type === 'live') {
+                    live = true;
+                    return;
+                }
+                if (!live) {
+                    replayed++;
+                } else if (buffer.length - replayed >= bufferSize) {
+                    if (overflow === 'drop-newest') return;
+                    if (overflow === 'error') {
+                        finish({error: new RangeError(`Async iterator buffer overflowed its bufferSize of ${bufferSize}`)});
+                        return;
+                    }
+                    buffer.splice(replayed, 1);
+                }
+                buffer.push(event.value);
+                settle();
+            },
+            error: error => finish({error}),
+            complete: () => finish()
+        });
+        if (done) subscription.unsubscribe();
+
+        return {
+            next: () => new Promise((resolve, reject) => {
+                requests.push({resolve, reject});
+                settle();
+            }),
+            // Called when a loop ends early. Calls to `next` still waiting for a value are done too.
+            return: value => {
+                buffer.length = 0;
+                finish();
+                return Promise.resolve({value, done: true});
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    /**
+     * Lists the cached entries selected by replay options.
+     *
+     * @private
+     * @param {Object} options - Replay options, as for `observe`.
+     * @returns {Array<Array>} The `[key, value]` entries in replay order.
+     */
+    _replayEntries(options) {
+        const {order = 'descending', limit = Number.POSITIVE_INFINITY, window, since, keys} = options;
+
+        let from = since instanceof Date ? since.getTime() : since;
+        if (window !== undefined) {
+            from = Math.max(from === undefined ? Number.NEGATIVE_INFINITY : from, this._now() - window);
+        }
+        let accept;
+        if (typeof keys === 'function') {
+            accept = keys;
+        } else if (keys) {
+            const set = new Set(Array.from(keys, key => this._normalizeKey(key)));
+            accept = key => set.has(key);
+        }
+
+        const entries = [];
+        for (const [key, value] of this._cache.entriesDescending()) {
+            if (entries.length >= limit) break;
+            if (from !== undefined && this._meta.get(key).insertedAt < from) continue;
+            if (accept && !accept(key, value)) continue;
+            entries.push([key, value]);
+        }
+
+        return order === 'ascending' ? entries.reverse() : entries;
+    }
+
+    /**
+     * Replays the entries selected by `replay` to a subscriber, then delivers live values to it.
+     * Values emitted during the replay are held back until it ends.
+     *
+     * @private
+     * @param {Subscriber} subscriber - The subscriber.
+     * @param {Object} replay - Replay options, as for `observe`.
+     * @param {boolean} [withMeta=false] - Emit the envelopes of `observeWithMeta` instead of bare values.
+     * @returns {Subscription|undefined} The subscription to live values, once subscribed.
+     */
+    _subscribeWithReplay(subscriber, replay, withMeta = false) {
+        // Replay waits until the entries held by `config.storage` are in the cache.
+        if (!this._hydrated) {
+            this._awaitingHydration.push(() => {
+                if (!subscriber.closed) {
+                    subscriber.add(this._subscribeWithReplay(subscriber, replay, withMeta));
+                }
+            });
+            return undefined;
+        }
+
+        const entries = this._replayEntries(replay);
+        if (this._promoteOnReplay) {
+            // From the least to the most recently used, so the replayed entries keep their order.
+            const ascending = replay.order === 'ascending' ? entries : [...entries].reverse();
+            for (const [key] of ascending) {
+                this._cache.get(key);
+            }
+        }
+        const replayed = entries.map(([key, value]) => withMeta ? this._envelope(key, value, true) : value);
+        for (const [key, value] of entries) {
+            this._revalidate(key, value);
+        }
+        if (withMeta) {
+            replayed.push({type: 'live'});
+        }
+
+        // Live values, and an error or completion, are queued until the replay is over.
+        let queue = [];
+        let finalize = null;
+        const subscription = this._subscribeLive({
+            next: value => {
+                let item = value;
+                if (withMeta) {
+                    item = this._isTombstone(value)
+                        ? {type: 'delete', key: this._tombstoneKey(value), value, replayed: false}
+                        : this._envelope(this._mapper(value), value, false);
+                }
+                if (queue) {
+                    queue.push(item);
+                } else {
+                    subscriber.next(item);
+                }
+            },
+            error: err => {
+                if (queue) {
+                    finalize = () => subscriber.error(err);
+                } else {
+                    subscriber.error(err);
+                }
+            },
+            complete: () => {
+                if (queue) {
+                    finalize = () => subscriber.complete();
+                } else {
+                    subscriber.complete();
+                }
+            }
+        });
+
+        const goLive = () => {
+            // Values emitted while the queue is drained join the end of it.
+            for (let i = 0; i < queue.length && !subscriber.closed; i++) {
+                subscriber.next(queue[i]);
+            }
+            queue = null;
+            if (finalize) {
+                finalize();
+            }
+        };
+
+        const {scheduler, chunkSize = Number.POSITIVE_INFINITY} = replay;
+        if (!scheduler) {
+            for (let i = 0; i < replayed.length && !subscriber.closed; i++) {
+                subscriber.next(replayed[i]);
+            }
+            goLive();
+            return subscription;
+        }
+
+        let index = 0;
+        subscriber.add(scheduler.schedule(function () {
+            const end = Math.min(index + chunkSize, replayed.length);
+            while (index < end && !subscriber.closed) {
+                subscriber.next(replayed[index++]);
+            }
+            if (index < replayed.length) {
+                this.schedule();
+            } else {
+                goLive();
+            }
+        }));
+        return subscription;
+    }
+}
+
+
+/**
+ * Calls `reset` right away, after a delay, or once a notifier emits, depending on `on`.
+ *
+ * @param {Function} reset - The reset to perform.
+ * @param {boolean|number|Function} on - `true` to reset now, `false` not to reset, a delay in milliseconds,
+ * or a function receiving `args` and returning an ObservableInput that triggers the reset when it emits.
+ * @param {SchedulerLike} [scheduler] - The scheduler timing delays.
+ * @param {...*} args - Arguments for `on` when it is a function.
+ * @returns {Subscription|undefined} The pending reset, if any.
+ */
+function handleReset(reset, on, scheduler, ...args) {
+    if (on === true) {
+        reset();
+        return undefined;
+    }
+    if (on === false) {
+        return undefined;
+    }
+
+    const notifier = typeof on === 'number' ? timer(on, scheduler) : from(on(...args));
+    return notifier.pipe(take(1)).subscribe(() => reset());
+}
+
+/**
+ * An RxJS operator that shares a source Observable among multiple subscribers using an `LRUReplaySubject`
+ * to replay recently emitted values. The cache's behavior (size, expiration, etc.) is configurable.
+ *
+ * Like RxJS `share()`, all subscribers share one subscription to the source, made when the first of them
+ * subscribes. Values the source emits synchronously on connection are replayed to that first subscriber.
+ * The `reset*` options decide when the connection and its cache are dropped so that the next subscriber
+ * starts over. Each accepts `true`, `false`, a delay in milliseconds, or a function returning an
+ * ObservableInput whose first emission triggers the reset.
+ *
+ * @function
+ * @param {Object} [config={}] - Configuration for the underlying `LRUReplaySubject`.
+ * @param {number} [config.maxSize=Infinity] - Maximum number of items to store in the cache.
+ * @param {number} [config.maxAge=Infinity] - Maximum age in milliseconds for each item in the cache.
+ * @param {Subject} [config.onEviction=new Subject()] - A subject that emits evicted values when the cache limit is reached.
+ * @param {string|string[]|Function} [config.key] - The path of the key in each value, or a key extractor.
+ * @param {Function} [config.map] - Optional mapping function to override default key extraction.
+ * @param {Function} [config.maxAgeFor] - Optional function returning the maxAge of each source value.
+ * @param {string|Function} [config.policy='lru'] - The eviction policy, as for `LRUReplaySubject`.
+ * @param {Function} [config.merge] - Reduces each source value with the value cached under its key.
+ * @param {string} [config.emit='merged'] - Whether subscribers receive merged or incoming values.
+ * @param {boolean|Function} [config.distinct=false] - Suppresses source values equal to their cached value.
+ * @param {string} [config.onNullish='ignore'] - How `null`, `undefined` and tombstones from the source are handled.
+ * @param {Function} [config.validate] - Rejects source values that fail it, as for `LRUReplaySubject`.
+ * @param {Subject} [config.onRejected] - A subject that emits the source values rejected by `config.validate`.
+ * @param {Function} [config.normalizeKey] - Normalizes every extracted key.
+ * @param {string} [config.onMissingKey='passthrough-uncached'] - What happens to source values without a key.
+ * @param {boolean} [config.promoteOnReplay=false] - Whether replays mark the replayed entries as used.
+ * @param {number} [config.negativeMaxAge=0] - How long failed loads of `getOrLoad` are remembered.
+ * @param {number} [config.staleAfter=Infinity] - Milliseconds after which cached values are stale.
+ * @param {Function} [config.revalidate] - Refreshes stale values, as for `LRUReplaySubject`.
+ * @param {number} [config.revalidateInterval=1000] - The minimum time between revalidations of an entry.
+ * @param {Function} [config.onSourceError] - Called with the error when the source errors, or emits a value
+ * the subject throws on, for logging or monitoring. Subscribers receive the error regardless, and the source
+ * is unsubscribed.
+ * @param {boolean|number|Function} [config.resetOnError=true] - When to reset after the source errors. The
+ * function form receives the error.
+ * @param {boolean|number|Function} [config.resetOnComplete=false] - When to reset after the source completes.
+ * Until then, new subscribers receive the replay followed by the completion.
+ * @param {boolean|number|Function} [config.resetOnRefCountZero=true] - When to unsubscribe from the source
+ * after the last subscriber unsubscribes. `false` keeps the source subscription and cache alive.
+ * @param {SchedulerLike} [config.scheduler] - Schedules expiry as for `LRUReplaySubject`, and times reset delays.
+ * @param {boolean} [config.keepCache=false] - Keep the cache when resetting because the subscriber count
+ * dropped to zero, so that later subscribers are replayed its values while the source is subscribed anew.
+ *
+ * @example
+ * // Share source observable with a cache size limit of 5 items
+ * const shared$ = source$.pipe(shareLRUReplay({ maxSize: 5 }));
+ * shared$.subscribe(value => console.log('Subscriber 1:', value));
+ * shared$.subscribe(value => console.log('Subscriber 2:', value));
+ *
+ * @example
+ * // Share a source observable with a time-based cache limit of 10 seconds
+ * const shared$ = source$.pipe(shareLRUReplay({ maxAge: 10000 }));
+ * shared$.subscribe(value => console.log('Subscriber 1:', value));
+ * setTimeout(() => {
+ *     shared$.subscribe(value => console.log('Subscriber 2:', value)); // Receives cached values if within 10 seconds
+ * }, 5000);
+ *
+ * @example
+ * // Keep a websocket open for a second after the last subscriber leaves
+ * const prices$ = webSocket(url).pipe(shareLRUReplay({ key: 'symbol', resetOnRefCountZero: 1000 }));
+ *
+ * @returns {Function} An operator function that takes a source Observable and returns a new Observable
+ * that shares the source's emissions using an `LRUReplaySubject`.
+ */
+export function shareLRUReplay(config = {}) {
+    const {
+        resetOnError = true,
+        resetOnComplete = false,
+        resetOnRefCountZero = true,
+        keepCache = false,
+        onSourceError,
+        ...subjectConfig
+    } = config;
+    const {scheduler} = subjectConfig;
+
+    return (source) => {
+        let subject = null;
+        let connection = null;
+        let resetConnection = null;
+        let refCount = 0;
+        let hasCompleted = false;
+        let hasErrored = false;
+
+        const cancelReset = () => {
+            if (resetConnection) {
+                resetConnection.unsubscribe();
+                resetConnection = null;
+            }
+        };
+        const reset = (keepSubject = false) => {
+            cancelReset();
+            connection = null;
+            if (!keepSubject) {
+                subject = null;
+            }
+            hasCompleted = hasErrored = false;
+        };
+        const resetAndUnsubscribe = () => {
+            const conn = connection;
+            reset(keepCache);
+            if (conn) {
+                conn.unsubscribe();
+            }
+        };
+
+        return new Observable(subscriber => {
+            refCount++;
+            if (!hasErrored && !hasCompleted) {
+                cancelReset();
+            }
+
+            const dest = (subject = subject || new LRUReplaySubject(subjectConfig));
+
+            if (!connection && !hasErrored && !hasCompleted) {
+                const conn = connection = new Subscription();
+                const fail = (err) => {
+                    hasErrored = true;
+                    cancelReset();
+                    resetConnection = handleReset(reset, resetOnError, scheduler, err);
+                    dest.error(err);
+                    if (onSourceError) {
+                        onSourceError(err);
+                    }
+                };
+                conn.add(source.subscribe({
+                    next: (value) => {
+                        // Values `next` throws on, such as values over `maxWeight`, fail the shared stream
+                        // rather than being thrown out of the source.
+                        try {
+                            dest.next(value);
+                        } catch (err) {
+                            conn.unsubscribe();
+                            fail(err);
+                        }
+                    },
+                    error: fail,
+                    complete: () => {
+                        hasCompleted = true;
+                        cancelReset();
+                        resetConnection = handleReset(reset, resetOnComplete, scheduler);
+                        dest.complete();
+                    }
+                }));
+            }
+
+            const sub = dest.subscribe(subscriber);
+
+            return () => {
+                sub.unsubscribe();
+                refCount--;
+                if (refCount === 0 && !hasErrored && !hasCompleted) {
+                    resetConnection = handleReset(resetAndUnsubscribe, resetOnRefCountZero, scheduler);
                 }
             };
         });
-    });
+    };
 }
@@ -0,0 +1,375 @@
+/**
+ * Eviction policies decide which entry of an `LRUReplaySubject` leaves the cache when it is full.
+ * A policy is an object tracking the cached keys, with the synchronous methods:
+ * - `insert(key)`: A key was added to the cache.
+ * - `access(key)`: The value of a cached key was read or replaced.
+ * - `remove(key)`: A key left the cache.
+ * - `victim()`: Returns the cached key to evict next. The cache then calls `remove` with it.
+ * - `keys()`: Returns an iterable of the cached keys in ascending order, roughly from the next to be
+ *   evicted to the last. It is the order of `entriesAscending` and of ascending replays.
+ * - `clear()`: All keys left the cache.
+ *
+ * Each subject needs a policy object of its own, so custom policies are configured as a function
+ * returning a new policy object.
+ */
+
+function firstOf(iterable) {
+    for (const item of iterable) {
+        return item;
+    }
+    return undefined;
+}
+
+/**
+ * First in, first out: evicts the entry cached the earliest. Replacing a value keeps its place.
+ * Keys are listed from the oldest to the newest.
+ *
+ * @class
+ */
+export class FIFOPolicy {
+    constructor() {
+        this._keys = new Set();
+    }
+
+    insert(key) {
+        this._keys.add(key);
+    }
+
+    access() {}
+
+    remove(key) {
+        this._keys.delete(key);
+    }
+
+    victim() {
+        return firstOf(this._keys);
+    }
+
+    keys() {
+        return this._keys.values();
+    }
+
+    clear() {
+        this._keys.clear();
+    }
+}
+
+/**
+ * Least frequently used: evicts the entry read or replaced the fewest times since it was cached,
+ * and the least recently used of those on a tie. Keys are listed from the least to the most
+ * frequently used.
+ *
+ * @class
+ */
+export class LFUPolicy {
+    constructor() {
+        this._counts = new Map();
+        // Keys by count, each set ordered from the least to the most recently used.
+        this._buckets = new Map();
+    }
+
+    _bucket(count) {
+        let bucket = this._buckets.get(count);
+        if (!bucket) {
+            bucket = new Set();
+            this._buckets.set(count, bucket);
+        }
+        return bucket;
+    }
+
+    _leave(key, count) {
+        const bucket = this._buckets.get(count);
+        bucket.delete(key);
+        if (bucket.size === 0) {
+            this._buckets.delete(count);
+        }
+    }
+
+    insert(key) {
+        this._counts.set(key, 1);
+        this._bucket(1).add(key);
+    }
+
+    access(key) {
+        const count = this._counts.get(key);
+        if (count === undefined) return;
+        this._leave(key, count);
+        this._counts.set(key, count + 1);
+        this._bucket(count + 1).add(key);
+    }
+
+    remove(key) {
+        const count = this._counts.get(key);
+        if (count === undefined) return;
+        this._leave(key, count);
+        this._counts.delete(key);
+    }
+
+    victim() {
+        return firstOf(this.keys());
+    }
+
+    * keys() {
+        for (const count of [...this._buckets.keys()].sort((a, b) => a - b)) {
+            yield* this._buckets.get(count);
+        }
+    }
+
+    clear() {
+        this._counts.clear();
+        this._buckets.clear();
+    }
+}
+
+/**
+ * SIEVE: keeps the entries in the order they were cached and sweeps a hand over them from the
+ * oldest to the newest, evicting the first entry not read or replaced since the hand last passed
+ * it. Cheap like FIFO, while keeping frequently used entries like LRU. Keys are listed from the
+ * oldest to the newest.
+ *
+ * @class
+ * @see https://cachemon.github.io/SIEVE-website/
+ */
+export class SIEVEPolicy {
+    constructor() {
+        // Nodes `{key, visited, prev, next}` of a list running from the oldest to the newest key.
+        this._nodes = new Map();
+        this._oldest = null;
+        this._newest = null;
+        this._hand = null;
+    }
+
+    insert(key) {
+        const node = {key, visited: false, prev: this._newest, next: null};
+        if (this._newest) {
+            this._newest.next = node;
+        } else {
+            this._oldest = node;
+        }
+        this._newest = node;
+        this._nodes.set(key, node);
+    }
+
+    access(key) {
+        const node = this._nodes.get(key);
+        if (node) {
+            node.visited = true;
+        }
+    }
+
+    remove(key) {
+        const node = this._nodes.get(key);
+        if (!node) return;
+        if (this._hand === node) {
+            this._hand = node.next;
+        }
+        if (node.prev) {
+            node.prev.next = node.next;
+        } else {
+            this._oldest = node.next;
+        }
+        if (node.next) {
+            node.next.prev = node.prev;
+        } else {
+            this._newest = node.prev;
+        }
+        this._nodes.delete(key);
+    }
+
+    victim() {
+        let node = this._hand || this._oldest;
+        if (!node) return undefined;
+        while (node.visited) {
+            node.visited = false;
+            node = node.next || this._oldest;
+        }
+        this._hand = node;
+        return node.key;
+    }
+
+    * keys() {
+        for (let node = this._oldest; node; node = node.next) {
+            yield node.key;
+        }
+    }
+
+    clear() {
+        this._nodes.clear();
+        this._oldest = this._newest = this._hand = null;
+    }
+}
+
+/**
+ * The built-in policies by name, besides `'lru'` which is implemented by `QuickLRU`.
+ *
+ * @type {Object<string, Function>}
+ */
+export const policies = {
+    lfu: LFUPolicy,
+    fifo: FIFOPolicy,
+    sieve: SIEVEPolicy
+};
+
+/**
+ * A cache with the interface of `QuickLRU` that leaves the choice of evicted entries to a policy.
+ * Expired entries are removed when they are next accessed.
+ *
+ * @private
+ * @class
+ *
+ * @param {Object} options - Options for the cache.
+ * @param {Object} options.policy - The policy object.
+ * @param {number} [options.maxSize=Infinity] - The maximum number of entries.
+ * @param {number} [options.maxAge=Infinity] - The default maximum age of entries in milliseconds.
+ * @param {Function} [options.onEviction] - Called with the key and value of entries evicted or expired.
+ */
+export class PolicyCache {
+    constructor(options) {
+        const {
+            policy,
+            maxSize = Number.POSITIVE_INFINITY,
+            maxAge = Number.POSITIVE_INFINITY,
+            onEviction
+        } = options;
+
+        if (!(maxSize > 0)) {
+            throw new TypeError('`maxSize` must be a number greater than 0');
+        }
+        if (!(maxAge > 0)) {
+            throw new TypeError('`maxAge` must be a number greater than 0');
+        }
+
+        this.maxSize = maxSize;
+        this.maxAge = maxAge;
+        this._policy = policy;
+        this._onEviction = onEviction;
+        // Items `{value, expiry}` by key.
+        this._items = new Map();
+    }
+
+    _unlink(key) {
+        this._items.delete(key);
+        this._policy.remove(key);
+    }
+
+    _deleteIfExpired(key, item) {
+        if (item.expiry > Date.now()) {
+            return false;
+        }
+        this._unlink(key);
+        if (this._onEviction) {
+            this._onEviction(key, item.value);
+        }
+        return true;
+    }
+
+    _evictUntil(size) {
+        while (this._items.size > size) {
+            const key = this._policy.victim();
+            const item = this._items.get(key);
+            if (!item) {
+                throw new TypeError(`Eviction policy chose a key that is not cached: ${String(key)}`);
+            }
+            this._unlink(key);
+            if (this._onEviction) {
+                this._onEviction(key, item.value);
+            }
+        }
+    }
+
+    has(key) {
+        const item = this._items.get(key);
+        return item !== undefined && !this._deleteIfExpired(key, item);
+    }
+
+    peek(key) {
+        const item = this._items.get(key);
+        return item && !this._deleteIfExpired(key, item) ? item.value : undefined;
+    }
+
+    get(key) {
+        const item = this._items.get(key);
+        if (!item || this._deleteIfExpired(key, item)) {
+            return undefined;
+        }
+        this._policy.access(key);
+        return item.value;
+    }
+
+    set(key, value, {maxAge = this.maxAge} = {}) {
+        const expiry = Number.isFinite(maxAge) ? Date.now() + maxAge : Number.POSITIVE_INFINITY;
+        const item = this._items.get(key);
+        if (item) {
+            item.value = value;
+            item.expiry = expiry;
+            this._policy.access(key);
+            return this;
+        }
+
+        this._evictUntil(this.maxSize - 1);
+        this._items.set(key, {value, expiry});
+        this._policy.insert(key);
+        return this;
+    }
+
+    delete(key) {
+        if (!this._items.has(key)) {
+            return false;
+        }
+        this._unlink(key);
+        return true;
+    }
+
+    clear() {
+        this._items.clear();
+        this._policy.clear();
+    }
+
+    resize(newSize) {
+        if (!(newSize > 0)) {
+            throw new TypeError('`maxSize` must be a number greater than 0');
+        }
+        this.maxSize = newSize;
+        this._evictUntil(newSize);
+    }
+
+    get size() {
+        return this._items.size;
+    }
+
+    * entriesAscending() {
+        for (const key of [...this._policy.keys()]) {
+            const item = this._items.get(key);
+            if (item && !this._deleteIfExpired(key, item)) {
+                yield [key, item.value];
+            }
+        }
+    }
+
+    * entriesDescending() {
+        const entries = [...this.entriesAscending()];
+        for (let i = entries.length - 1; i >= 0; i--) {
+            yield entries[i];
+        }
+    }
+
+    * entries() {
+        yield* this.entriesAscending();
+    }
+
+    * keys() {
+        for (const [key] of this.entriesAscending()) {
+            yield key;
+        }
+    }
+
+    * values() {
+        for (const [, value] of this.entriesAscending()) {
+            yield value;
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+}
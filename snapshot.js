@@ -0,0 +1,145 @@
+/**
+ * The version of the snapshot format written by `LRUReplaySubject#toSnapshot`.
+ *
+ * @type {number}
+ */
+export const SNAPSHOT_VERSION = 1;
+
+function isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Encoders for values JSON cannot represent. An encoder is an object with:
+ * - `type` (string): A unique name stored in the snapshot.
+ * - `test(value)`: Returns `true` if the encoder handles the value.
+ * - `encode(value, encode)`: Returns JSON-safe data. `encode` encodes nested values.
+ * - `decode(data, decode)`: Rebuilds the value from its data. `decode` decodes nested values.
+ *
+ * @type {Array<Object>}
+ */
+export const defaultEncoders = [
+    {
+        type: 'Date',
+        test: value => value instanceof Date,
+        encode: value => value.toISOString(),
+        decode: data => new Date(data)
+    },
+    {
+        type: 'Map',
+        test: value => value instanceof Map,
+        encode: (value, encode) => [...value].map(([k, v]) => [encode(k), encode(v)]),
+        decode: (data, decode) => new Map(data.map(([k, v]) => [decode(k), decode(v)]))
+    },
+    {
+        type: 'Set',
+        test: value => value instanceof Set,
+        encode: (value, encode) => [...value].map(encode),
+        decode: (data, decode) => new Set(data.map(decode))
+    },
+    {
+        type: 'Uint8Array',
+        test: value => value instanceof Uint8Array,
+        encode: value => bytesToBase64(value),
+        decode: data => base64ToBytes(data)
+    },
+    {
+        type: 'BigInt',
+        test: value => typeof value === 'bigint',
+        encode: value => value.toString(),
+        decode: data => BigInt(data)
+    }
+];
+
+/**
+ * Converts a value into JSON-safe data, tagging anything handled by an encoder as `{$type, data}`.
+ *
+ * @param {*} value - The value to encode.
+ * @param {Array<Object>} [encoders=defaultEncoders] - The encoders to try, in order.
+ * @returns {*} JSON-safe data.
+ */
+export function encodeValue(value, encoders = defaultEncoders) {
+    const encode = v => encodeValue(v, encoders);
+
+    for (const encoder of encoders) {
+        if (encoder.test(value)) {
+            return {$type: encoder.type, data: encoder.encode(value, encode)};
+        }
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(encode);
+    }
+
+    if (isPlainObject(value)) {
+        // Objects that would be mistaken for tagged values are stored as tagged entries.
+        if (Object.prototype.hasOwnProperty.call(value, '$type')) {
+            return {$type: 'Object', data: Object.entries(value).map(([k, v]) => [k, encode(v)])};
+        }
+
+        const result = {};
+        for (const k of Object.keys(value)) {
+            result[k] = encode(value[k]);
+        }
+        return result;
+    }
+
+    return value;
+}
+
+/**
+ * Reverses `encodeValue`.
+ *
+ * @param {*} data - Data produced by `encodeValue`.
+ * @param {Array<Object>} [encoders=defaultEncoders] - The encoders used for encoding.
+ * @throws {TypeError} If the data is tagged with a type no encoder handles.
+ * @returns {*} The decoded value.
+ */
+export function decodeValue(data, encoders = defaultEncoders) {
+    const decode = d => decodeValue(d, encoders);
+
+    if (Array.isArray(data)) {
+        return data.map(decode);
+    }
+
+    if (isPlainObject(data)) {
+        if (typeof data.$type === 'string') {
+            if (data.$type === 'Object') {
+                return Object.fromEntries(data.data.map(([k, v]) => [k, decode(v)]));
+            }
+
+            const encoder = encoders.find(encoder => encoder.type === data.$type);
+            if (!encoder) {
+                throw new TypeError(`No encoder for snapshot value of type '${data.$type}'`);
+            }
+            return encoder.decode(data.data, decode);
+        }
+
+        const result = {};
+        for (const k of Object.keys(data)) {
+            result[k] = decode(data[k]);
+        }
+        return result;
+    }
+
+    return data;
+}
@@ -0,0 +1,111 @@
+/**
+ * Storage adapters keep the entries of an `LRUReplaySubject` in durable storage. An adapter is any
+ * object with the asynchronous methods:
+ * - `get(id)`: Resolves to the record stored under `id`, or `undefined`.
+ * - `put(id, record)`: Stores a record under `id`.
+ * - `del(id)`: Removes the record stored under `id`.
+ * - `list()`: Resolves to an array, or async iterable, of every stored record. A record that cannot be
+ *   read is listed as an `Error` instead, which the subject reports and skips.
+ *
+ * Records are JSON-safe objects `{key, value, insertedAt, expiresAt, seq}` written by the subject.
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Longer file names are replaced by a hash, keeping within the 255 bytes file systems allow.
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * A storage adapter holding records in memory. Mostly useful for tests, or for sharing a cache
+ * between subjects living in the same process.
+ *
+ * @class
+ */
+export class MemoryStorage {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(id) {
+        return this.records.get(id);
+    }
+
+    async put(id, record) {
+        this.records.set(id, record);
+    }
+
+    async del(id) {
+        this.records.delete(id);
+    }
+
+    async list() {
+        return [...this.records.values()];
+    }
+}
+
+/**
+ * A storage adapter writing each record as a JSON file to a Hyperdrive-style drive, such as
+ * `localdrive` for the filesystem or `hyperdrive` for peer-to-peer storage. Files are named after
+ * the record ids, or after their SHA-256 hash when the name would be too long.
+ *
+ * @class
+ *
+ * @param {Object} drive - A drive with `get`, `put`, `del` and `list` methods.
+ * @param {Object} [options={}] - Options for the adapter.
+ * @param {string} [options.prefix='/lrureplaysubject'] - The folder holding the records.
+ *
+ * @example
+ * import LocalDrive from 'localdrive';
+ *
+ * const subject = new LRUReplaySubject({
+ *     maxSize: 100,
+ *     storage: new DriveStorage(new LocalDrive('./cache'))
+ * });
+ * await subject.ready;
+ */
+export class DriveStorage {
+    constructor(drive, options = {}) {
+        const {prefix = '/lrureplaysubject'} = options;
+
+        this.drive = drive;
+        this.prefix = prefix.replace(/\/+$/, '');
+    }
+
+    async _path(id) {
+        let name = encodeURIComponent(id);
+        if (name.length > MAX_NAME_LENGTH) {
+            const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(id)));
+            name = 'sha256-' + Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+        return `${this.prefix}/${name}.json`;
+    }
+
+    async get(id) {
+        const buffer = await this.drive.get(await this._path(id));
+        return buffer ? JSON.parse(decoder.decode(buffer)) : undefined;
+    }
+
+    async put(id, record) {
+        await this.drive.put(await this._path(id), encoder.encode(JSON.stringify(record)));
+    }
+
+    async del(id) {
+        await this.drive.del(await this._path(id));
+    }
+
+    async list() {
+        const records = [];
+        for await (const entry of this.drive.list(this.prefix)) {
+            if (!entry.key.endsWith('.json')) continue;
+            const buffer = await this.drive.get(entry.key);
+            if (!buffer) continue;
+            try {
+                records.push(JSON.parse(decoder.decode(buffer)));
+            } catch (error) {
+                records.push(new TypeError(`Cannot read the record ${entry.key}: ${error.message}`));
+            }
+        }
+        return records;
+    }
+}
@@ -0,0 +1,56 @@
+import {Readable} from 'node:stream';
+
+/**
+ * Node stream adapters for `LRUReplaySubject`. This module depends on `node:stream`, so it is not
+ * part of the main entry point and is imported on its own:
+ *
+ *     import {toReadable, fromReadable} from 'lrureplaysubject/streams.js';
+ */
+
+/**
+ * Creates an object mode Readable of the subject, replaying cached values and then emitting live
+ * values, until it is destroyed or the subject completes. Values are read from `subject.iterate`
+ * only as fast as the stream is consumed, so a slow Writable leaves live values to the buffer and
+ * overflow policy of the iterator.
+ *
+ * @param {LRUReplaySubject} subject - The subject to read.
+ * @param {Object} [options={}] - Options for the stream, along with the options of `subject.iterate`.
+ * @param {number} [options.highWaterMark=16] - The number of values the stream reads ahead.
+ * @throws {TypeError} If an option of `subject.iterate` is invalid.
+ * @returns {Readable} An object mode Readable of the values.
+ *
+ * @example
+ * import {pipeline} from 'node:stream/promises';
+ *
+ * await pipeline(toReadable(quotes, {order: 'ascending'}), toNDJSON, fs.createWriteStream('quotes.ndjson'));
+ */
+export function toReadable(subject, options = {}) {
+    const {highWaterMark = 16, ...iterateOptions} = options;
+    return Readable.from(subject.iterate(iterateOptions), {objectMode: true, highWaterMark});
+}
+
+/**
+ * Feeds the values of a Readable, or any async iterable, to a subject. Values are read one at a
+ * time, so the subject sets the pace of the stream.
+ *
+ * @param {LRUReplaySubject} subject - The subject to feed.
+ * @param {Readable|AsyncIterable} readable - The values to emit.
+ * @param {Object} [options={}] - Options for the feed.
+ * @param {number} [options.maxAge] - Maximum age in milliseconds for the values, as for `subject.next`.
+ * @param {boolean} [options.complete=false] - Complete the subject when the stream ends.
+ * @returns {Promise<void>} A promise that resolves when the stream ends, or rejects with the error of the
+ * stream or of `subject.next`, destroying the stream.
+ *
+ * @example
+ * await fromReadable(quotes, fs.createReadStream('quotes.ndjson').pipe(parseNDJSON));
+ */
+export async function fromReadable(subject, readable, options = {}) {
+    const {maxAge, complete = false} = options;
+
+    for await (const value of readable) {
+        subject.next(value, {maxAge});
+    }
+    if (complete) {
+        subject.complete();
+    }
+}
@@ -0,0 +1,211 @@
+import {Subscription} from 'rxjs';
+
+/**
+ * Keeps `LRUReplaySubject`s in different contexts, such as the main thread and workers, in sync over
+ * `MessagePort`-like channels. Every subject announces itself with a `hello` carrying its state, and
+ * the subjects already connected answer with theirs. From then on, values set and entries deleted,
+ * evicted or cleared are forwarded as they happen.
+ *
+ * Conflicts are resolved by last writer wins: every entry carries the time it was last written and
+ * the id of the subject that wrote it, and a change only applies if it is newer than the entry's own,
+ * the higher id winning ties. Deletions are remembered for a while so that older values cannot bring
+ * keys back, and versions of keys that left the cache are forgotten, so that the memory of the sync
+ * stays bounded like the cache itself.
+ */
+
+const PROTOCOL = 'lrureplaysubject-sync';
+
+function newer(a, b) {
+    return !b || a.at > b.at || (a.at === b.at && a.origin > b.origin);
+}
+
+function listen(port, receive) {
+    if (typeof port.addEventListener === 'function') {
+        const listener = event => receive(event.data);
+        port.addEventListener('message', listener);
+        if (typeof port.start === 'function') {
+            port.start();
+        }
+        return () => port.removeEventListener('message', listener);
+    }
+    if (typeof port.on === 'function') {
+        port.on('message', receive);
+        return () => (port.off || port.removeListener).call(port, 'message', receive);
+    }
+    throw new TypeError('Invalid port: Expected an object with `addEventListener` or `on`');
+}
+
+/**
+ * Connects a subject to other subjects over a port, until the returned subscription is unsubscribed.
+ * Keys and values must survive the structured clone of `postMessage`. Received values are checked by
+ * `config.validate` of the subject, and values it cannot cache, such as values heavier than its
+ * `config.maxWeight`, are reported to its `onRejected` as well.
+ *
+ * @param {LRUReplaySubject} subject - The subject to keep in sync.
+ * @param {Object} port - A `MessagePort`, `BroadcastChannel`, or any object with `postMessage` and either
+ * `addEventListener`/`removeEventListener` or `on`/`off`. Closing the port is left to the caller.
+ * @param {Object} [options={}] - Options for the connection.
+ * @param {string} [options.id] - The id of the subject, unique among those connected. Random by default.
+ * @param {string} [options.channel='default'] - Only subjects on the same channel sync, so that several caches
+ * can share a port.
+ * @param {number} [options.tombstoneMaxAge=60000] - How long in milliseconds deletions are remembered. An older
+ * value of a key arriving later than that, such as from a subject connecting anew, brings the key back.
+ * @param {number} [options.maxTombstones=1000] - The maximum number of deletions remembered, the oldest being
+ * forgotten first.
+ * @throws {TypeError} If the port cannot be listened to.
+ * @returns {Subscription} A subscription that ends the synchronization.
+ *
+ * @example
+ * // main.js
+ * const worker = new Worker('./worker.js');
+ * const { port1, port2 } = new MessageChannel();
+ * worker.postMessage(port2, [port2]);
+ * syncSubject(quotes, port1);
+ *
+ * // worker.js
+ * self.onmessage = ({ data: port }) => syncSubject(quotes, port);
+ *
+ * @example
+ * // Every tab of the app
+ * syncSubject(quotes, new BroadcastChannel('quotes'));
+ */
+export function syncSubject(subject, port, options = {}) {
+    const {
+        id = Math.random().toString(36).slice(2),
+        channel = 'default',
+        tombstoneMaxAge = 60000,
+        maxTombstones = 1000
+    } = options;
+
+    // The versions `{at, origin, deleted}` of the cached keys written since connecting.
+    const versions = new Map();
+    // The versions of deleted keys and the local time until which they are remembered, oldest first.
+    const tombstones = new Map();
+    let applying = false;
+
+    const post = message => port.postMessage({protocol: PROTOCOL, channel, from: id, ...message});
+
+    const forgetTombstones = () => {
+        const now = subject._now();
+        for (const [key, {until}] of tombstones) {
+            if (tombstones.size <= maxTombstones && until > now) break;
+            tombstones.delete(key);
+        }
+    };
+
+    const record = (key, version) => {
+        tombstones.delete(key);
+        if (version.deleted) {
+            versions.delete(key);
+            tombstones.set(key, {version, until: subject._now() + tombstoneMaxAge});
+            forgetTombstones();
+        } else {
+            versions.set(key, version);
+        }
+    };
+
+    const knownVersion = key => {
+        if (versions.has(key)) return versions.get(key);
+        const tombstone = tombstones.get(key);
+        return tombstone && tombstone.version;
+    };
+
+    const versionOf = key => {
+        const known = knownVersion(key);
+        if (known) return known;
+        const times = subject._timesOf(key);
+        return times ? {at: times.insertedAt, origin: id} : undefined;
+    };
+
+    const state = () => {
+        const entries = [];
+        for (const [key, value] of subject.entriesAscending()) {
+            entries.push({key, value, expiresAt: subject._timesOf(key).expiresAt, ...versionOf(key)});
+        }
+        forgetTombstones();
+        for (const [key, {version}] of tombstones) {
+            entries.push({key, ...version});
+        }
+        return entries;
+    };
+
+    // Each change is applied on its own, values that cannot be cached being reported to `onRejected`.
+    const apply = ({key, value, expiresAt, at, origin, deleted, reason}) => {
+        const version = {at, origin, deleted: Boolean(deleted)};
+        if (!newer(version, versionOf(key))) return;
+
+        applying = true;
+        try {
+            if (subject._applyRemote({key, value, insertedAt: at, expiresAt, deleted, reason})) {
+                record(key, version);
+            }
+        } catch (error) {
+            subject.onRejected.next({value, reason: error});
+        } finally {
+            applying = false;
+        }
+    };
+
+    const receive = message => {
+        if (!message || message.protocol !== PROTOCOL || message.channel !== channel || message.from === id) {
+            return;
+        }
+        switch (message.type) {
+            case 'hello':
+                message.entries.forEach(apply);
+                post({type: 'state', to: message.from, entries: state()});
+                break;
+            case 'state':
+                if (message.to === id) {
+                    message.entries.forEach(apply);
+                }
+                break;
+            case 'set':
+            case 'delete':
+                apply(message);
+                break;
+            case 'clear':
+                for (const key of [...subject.keys()]) {
+                    apply({key, at: message.at, origin: message.origin, deleted: true, reason: 'cleared'});
+                }
+                break;
+        }
+    };
+
+    // Local writes are newer than the version they replace even if the clocks of the contexts disagree.
+    const nextVersion = (key, at, deleted) => {
+        const previous = knownVersion(key);
+        return {at: previous ? Math.max(at, previous.at + 1) : at, origin: id, deleted};
+    };
+
+    const subscription = new Subscription();
+    subscription.add(subject.changes$.subscribe(change => {
+        const {type, key} = change;
+        if (applying) {
+            // Entries evicted to make room for remote values are not deleted for the other subjects.
+            if (type === 'delete' || type === 'evict') versions.delete(key);
+            return;
+        }
+
+        if (type === 'set' || type === 'update') {
+            const {insertedAt, expiresAt} = subject._timesOf(key);
+            const version = nextVersion(key, insertedAt, false);
+            record(key, version);
+            post({type: 'set', key, value: change.value, expiresAt, ...version});
+        } else if (type === 'delete' || type === 'evict') {
+            const version = nextVersion(key, subject._now(), true);
+            record(key, version);
+            post({type: 'delete', key, reason: change.reason, ...version});
+        } else if (type === 'clear') {
+            const at = subject._now();
+            for (const key of [...versions.keys()]) {
+                record(key, nextVersion(key, at, true));
+            }
+            post({type: 'clear', at, origin: id});
+        }
+    }));
+    subscription.add(listen(port, receive));
+
+    post({type: 'hello', entries: state()});
+    return subscription;
+}
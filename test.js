@@ -1,6 +1,14 @@
 import {test, solo, skip} from 'brittle';
-import {of, Observable, Subject} from 'rxjs';
-import {LRUReplaySubject, shareLRUReplay} from './index.js';
+import {of, Observable, Subject, throwError, asyncScheduler, config, take, tap} from 'rxjs';
+import {TestScheduler} from 'rxjs/testing';
+import {LRUReplaySubject, shareLRUReplay, SNAPSHOT_VERSION, MemoryStorage, DriveStorage, approximateSize, FIFOPolicy, shallowEqual, deepEqual, tombstone, tryExtractKey, compositeKey, syncSubject} from './index.js';
+import LocalDrive from 'localdrive';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import {Readable, Writable} from 'node:stream';
+import {pipeline} from 'node:stream/promises';
+import {toReadable, fromReadable} from './streams.js';
 
 function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -83,25 +91,25 @@ test('max age - setting the item again should refresh the expiration time', asyn
 test('max age - setting an item with a local expiration date', async t => {
     const lruSubject = new LRUReplaySubject({maxSize: 2, maxAge: 100});
     lruSubject.next('test');
-    lruSubject._cache.set('test2', 'test2', {maxAge: 500}); // Directly using the internal cache for custom maxAge
+    lruSubject.next('test2', {maxAge: 500});
     await delay(200);
 
     let hasTest2;
-    lruSubject.subscribe(() => hasTest2 = lruSubject._cache.has('test2'));
+    lruSubject.subscribe(() => hasTest2 = lruSubject.has('test2'));
 
     t.ok(hasTest2);
     await delay(300);
-    t.not(lruSubject._cache.has('test2'));
+    t.not(lruSubject.has('test2'));
 });
 
 test('max age - setting an item with an empty object as options parameter must use the global maxAge', async t => {
     const lruSubject = new LRUReplaySubject({maxSize: 2, maxAge: 100});
     lruSubject.next('test');
-    lruSubject._cache.set('test2', 'test2', {}); // Using empty options object
+    lruSubject.next('test2', {}); // Using empty options object
     await delay(200);
 
     let hasTest2;
-    lruSubject.subscribe(() => hasTest2 = lruSubject._cache.has('test2'));
+    lruSubject.subscribe(() => hasTest2 = lruSubject.has('test2'));
 
     t.absent(hasTest2);
 });
@@ -149,7 +157,7 @@ test('max age - once a non-recent item expires, the eviction function should be
 
     await delay(200);
 
-    t.not(lruSubject._cache.has('test1'));
+    t.not(lruSubject.has('test1'));
     t.ok(actualKeys.includes('test'));
     t.ok(actualKeys.includes('test2'));
 });
@@ -757,3 +765,2430 @@ test('`map` config with complex function', async t => {
     t.alike(values, ['item-2', 'item-1']);
 });
 
+
+test('max age - `maxAgeFor` config gives each value its own expiry', async t => {
+    const evicted = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(value => evicted.push(value.id));
+
+    const lruSubject = new LRUReplaySubject({
+        maxSize: 10,
+        key: 'id',
+        onEviction,
+        maxAgeFor: value => value.id === 'session' ? 50 : undefined
+    });
+
+    lruSubject.next({id: 'session'});
+    lruSubject.next({id: 'reference'});
+    await delay(100);
+
+    const values = [];
+    lruSubject.subscribe(value => values.push(value.id));
+
+    t.alike(values, ['reference']);
+    t.alike(evicted, ['session']);
+});
+
+test('max age - the `maxAge` option of `next` takes precedence over `maxAgeFor`', async t => {
+    const lruSubject = new LRUReplaySubject({maxSize: 10, maxAge: 50, maxAgeFor: () => 50});
+
+    lruSubject.next('short');
+    lruSubject.next('long', {maxAge: 500});
+    await delay(100);
+
+    const values = [];
+    lruSubject.subscribe(value => values.push(value));
+
+    t.alike(values, ['long']);
+});
+
+test('`evictionEvents` config reports the reason every entry leaves the cache', async t => {
+    const events = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(({key, value, reason, at}) => {
+        t.is(typeof at, 'number');
+        events.push([key, value.v, reason]);
+    });
+
+    const lruSubject = new LRUReplaySubject({maxSize: 1, key: 'id', evictionEvents: true, onEviction});
+    lruSubject.next({id: 'a', v: 1});
+    lruSubject.next({id: 'a', v: 2});
+    lruSubject.next({id: 'b', v: 1});
+    lruSubject.next({id: 'c', v: 1});
+    lruSubject.delete('c');
+    lruSubject.next({id: 'd', v: 1}, {maxAge: 50});
+    await delay(100);
+    t.alike([...lruSubject.entriesDescending()], []);
+    lruSubject.next({id: 'e', v: 1});
+    lruSubject.clear();
+
+    t.alike(events, [
+        ['a', 1, 'replaced'],
+        ['a', 2, 'size'],
+        ['b', 1, 'size'],
+        ['c', 1, 'deleted'],
+        ['d', 1, 'expired'],
+        ['e', 1, 'cleared']
+    ]);
+});
+
+test('`onEviction` keeps emitting bare values for size and expiry evictions by default', t => {
+    const evicted = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(value => evicted.push(value));
+
+    const lruSubject = new LRUReplaySubject({maxSize: 1, onEviction});
+    lruSubject.next('a');
+    lruSubject.next('a');
+    lruSubject.next('b');
+    lruSubject.next('c');
+    lruSubject.delete('c');
+    lruSubject.clear();
+
+    t.alike(evicted, ['a', 'b']);
+});
+
+test('replacing a value in the old generation does not report it as evicted later', t => {
+    const evicted = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(value => evicted.push(value));
+
+    const lruSubject = new LRUReplaySubject({maxSize: 2, onEviction});
+    lruSubject.next('a');
+    lruSubject.next('b');
+    lruSubject.next('a');
+    lruSubject.next('c');
+
+    t.alike(evicted, ['b']);
+    t.alike([...lruSubject.entriesDescending()], [['c', 'c'], ['a', 'a']]);
+});
+
+test('snapshot - restoring keeps the replay order of `entriesDescending`', t => {
+    const lru = new LRUReplaySubject({maxSize: 3});
+    lru.next('t');
+    lru.next('q');
+    lru.next('a');
+    lru.next('t');
+    lru.next('v');
+
+    const snapshot = JSON.parse(JSON.stringify(lru.toSnapshot()));
+    const restored = LRUReplaySubject.fromSnapshot(snapshot, {maxSize: 3});
+
+    t.is(snapshot.version, SNAPSHOT_VERSION);
+    t.alike([...restored.entriesDescending()], [...lru.entriesDescending()]);
+
+    const values = [];
+    restored.subscribe(value => values.push(value));
+    t.alike(values, ['v', 't', 'a', 'q']);
+});
+
+test('snapshot - keeps the remaining lifetime of each entry', async t => {
+    const lru = new LRUReplaySubject({maxSize: 10, maxAge: 150});
+    lru.next('short');
+    lru.next('forever', {maxAge: Number.POSITIVE_INFINITY});
+    await delay(100);
+
+    const snapshot = lru.toSnapshot();
+    t.ok(snapshot.entries[0].ttl <= 50);
+    t.is(snapshot.entries[1].ttl, null);
+
+    const restored = LRUReplaySubject.fromSnapshot(snapshot, {maxSize: 10, maxAge: 1000});
+    await delay(100);
+
+    t.alike([...restored.entriesDescending()], [['forever', 'forever']]);
+});
+
+test('snapshot - encodes non-JSON keys and values', t => {
+    const lru = new LRUReplaySubject({map: value => value.when});
+    const value = {
+        when: new Date(0),
+        tags: new Map([['a', new Set([1n])]]),
+        bytes: new Uint8Array([0, 1, 255]),
+        $type: 'not a tag'
+    };
+    lru.next(value);
+
+    const snapshot = JSON.parse(JSON.stringify(lru.toSnapshot()));
+    const [[key, restored]] = [...LRUReplaySubject.fromSnapshot(snapshot).entriesDescending()];
+
+    t.ok(key instanceof Date);
+    t.is(key.getTime(), 0);
+    t.alike(restored, value);
+});
+
+test('snapshot - custom encoders are used before the default ones', t => {
+    class Point {
+        constructor(x, y) {
+            this.x = x;
+            this.y = y;
+        }
+    }
+    const encoders = [{
+        type: 'Point',
+        test: value => value instanceof Point,
+        encode: value => [value.x, value.y],
+        decode: data => new Point(...data)
+    }];
+
+    const lru = new LRUReplaySubject({key: 'x', encoders});
+    lru.next(new Point(1, 2));
+
+    const snapshot = JSON.parse(JSON.stringify(lru.toSnapshot()));
+    t.alike(snapshot.entries[0].value, {$type: 'Point', data: [1, 2]});
+    t.exception.all(() => LRUReplaySubject.fromSnapshot(snapshot), /No encoder/);
+
+    const [[, point]] = [...LRUReplaySubject.fromSnapshot(snapshot, {encoders}).entriesDescending()];
+    t.ok(point instanceof Point);
+    t.is(point.y, 2);
+});
+
+test('snapshot - rejects unsupported versions', t => {
+    t.exception.all(() => LRUReplaySubject.fromSnapshot({version: 0, entries: []}), /Unsupported snapshot version/);
+    t.exception.all(() => LRUReplaySubject.fromSnapshot({}), /Invalid snapshot/);
+});
+
+test('storage - a new subject hydrates from the entries persisted by another', async t => {
+    const storage = new MemoryStorage();
+    const lru = new LRUReplaySubject({maxSize: 2, storage});
+    await lru.ready;
+
+    lru.next('A');
+    lru.next('B');
+    lru.next('C');
+    lru.next('B');
+    await lru.flush();
+
+    const restored = new LRUReplaySubject({maxSize: 2, storage});
+    const values = [];
+    restored.subscribe(value => values.push(value));
+
+    t.alike(values, []); // Replay waits for hydration
+    await restored.ready;
+    t.alike(values, ['B', 'C']);
+    t.alike([...restored.entriesDescending()], [...lru.entriesDescending()]);
+});
+
+test('storage - evictions and deletes are removed from storage in order', async t => {
+    const storage = new MemoryStorage();
+    const lru = new LRUReplaySubject({maxSize: 1, storage});
+
+    lru.next('A');
+    lru.next('B'); // Evicts 'A'
+    lru.next('C'); // Evicts 'B'
+    lru.delete('C');
+    lru.next('D');
+    await lru.flush();
+
+    t.alike((await storage.list()).map(record => record.value), ['D']);
+
+    lru.clear();
+    await lru.flush();
+    t.alike(await storage.list(), []);
+});
+
+test('storage - expired records are not hydrated', async t => {
+    const storage = new MemoryStorage();
+    const lru = new LRUReplaySubject({storage});
+    lru.next('short', {maxAge: 50});
+    lru.next('long');
+    await lru.flush();
+    await delay(100);
+
+    const restored = new LRUReplaySubject({storage});
+    await restored.ready;
+    await restored.flush();
+
+    t.alike([...restored.values()], ['long']);
+    t.is(storage.records.size, 1);
+});
+
+test('storage - values emitted before hydration stay the most recent', async t => {
+    const storage = new MemoryStorage();
+    await storage.put('"A"', {key: 'A', value: 'A', expiresAt: null, seq: 1});
+    await storage.put('"B"', {key: 'B', value: 'B', expiresAt: null, seq: 2});
+
+    const lru = new LRUReplaySubject({storage});
+    lru.next('A');
+    await lru.ready;
+
+    t.alike([...lru.entriesDescending()], [['A', 'A'], ['B', 'B']]);
+});
+
+test('storage - deletes made before hydration keep stored entries from loading', async t => {
+    const storage = new MemoryStorage();
+    await storage.put('"x"', {key: 'x', value: 'x', expiresAt: null, seq: 1});
+    await storage.put('"y"', {key: 'y', value: 'y', expiresAt: null, seq: 2});
+
+    const lru = new LRUReplaySubject({storage});
+    t.absent(lru.delete('x'));
+    lru.next('z');
+    lru.delete('z');
+    await lru.ready;
+    await lru.flush();
+
+    t.alike([...lru.keys()], ['y']);
+    t.alike([...storage.records.keys()], ['"y"']);
+});
+
+test('storage - clears made before hydration discard the stored entries', async t => {
+    const storage = new MemoryStorage();
+    await storage.put('"x"', {key: 'x', value: 'x', expiresAt: null, seq: 1});
+    await storage.put('"y"', {key: 'y', value: 'y', expiresAt: null, seq: 2});
+
+    const lru = new LRUReplaySubject({storage});
+    lru.clear();
+    lru.next('z');
+    await lru.ready;
+    await lru.flush();
+
+    t.alike([...lru.keys()], ['z']);
+    t.alike([...storage.records.keys()], ['"z"']);
+});
+
+test('storage - values emitted before hydration are stored as the most recent', async t => {
+    const storage = new MemoryStorage();
+    await storage.put('"x"', {key: 'x', value: 'x', expiresAt: null, seq: 1});
+    await storage.put('"y"', {key: 'y', value: 'y', expiresAt: null, seq: 2});
+    await storage.put('"z"', {key: 'z', value: 'z', expiresAt: null, seq: 3});
+
+    const lru = new LRUReplaySubject({storage});
+    lru.next('new');
+    await lru.ready;
+    await lru.flush();
+
+    const restored = new LRUReplaySubject({storage});
+    await restored.ready;
+    t.alike([...restored.keys()], ['x', 'y', 'z', 'new']);
+});
+
+test('storage - bad records are reported and skipped without losing the other entries', async t => {
+    const storage = new MemoryStorage();
+    await storage.put('"A"', {key: 'A', value: 'A', expiresAt: null, seq: 1});
+    await storage.put('"bad"', {key: 'bad', value: {$type: 'Unknown', data: 1}, expiresAt: null, seq: 2});
+    await storage.put('"B"', {key: 'B', value: 'B', expiresAt: null, seq: 3});
+
+    const errors = [];
+    const lru = new LRUReplaySubject({storage});
+    lru.onStorageError.subscribe(err => errors.push(err));
+    lru.next('early');
+    await lru.ready;
+
+    t.alike([...lru.entriesDescending()], [['early', 'early'], ['B', 'B'], ['A', 'A']]);
+    t.is(errors.length, 1);
+    t.ok(errors[0] instanceof TypeError);
+});
+
+test('storage - DriveStorage stores values with long keys under hashed names', async t => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'lrureplaysubject-'));
+    t.teardown(() => fs.rm(root, {recursive: true, force: true}));
+
+    const errors = [];
+    const lru = new LRUReplaySubject({storage: new DriveStorage(new LocalDrive(root))});
+    lru.onStorageError.subscribe(err => errors.push(err));
+    const value = {description: 'x'.repeat(300), tags: ['a', 'b']};
+    lru.next(value);
+    lru.next('short');
+    await lru.flush();
+
+    t.alike(errors, []);
+    const names = await fs.readdir(path.join(root, 'lrureplaysubject'));
+    t.ok(names.every(name => name.length <= 255));
+    t.ok(names.some(name => name.startsWith('sha256-')));
+
+    const restored = new LRUReplaySubject({storage: new DriveStorage(new LocalDrive(root))});
+    await restored.ready;
+    t.alike([...restored.values()], [value, 'short']);
+
+    restored.delete([...restored.keys()][0]);
+    await restored.flush();
+    t.is((await fs.readdir(path.join(root, 'lrureplaysubject'))).length, 1);
+});
+
+test('storage - DriveStorage lists unreadable files as errors', async t => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'lrureplaysubject-'));
+    t.teardown(() => fs.rm(root, {recursive: true, force: true}));
+
+    const lru = new LRUReplaySubject({storage: new DriveStorage(new LocalDrive(root))});
+    lru.next('A');
+    await lru.flush();
+    await fs.writeFile(path.join(root, 'lrureplaysubject', 'corrupt.json'), '{"key":');
+
+    const errors = [];
+    const onStorageError = new Subject();
+    onStorageError.subscribe(err => errors.push(err));
+    const restored = new LRUReplaySubject({storage: new DriveStorage(new LocalDrive(root)), onStorageError});
+    await restored.ready;
+
+    t.alike([...restored.values()], ['A']);
+    t.is(errors.length, 1);
+    t.ok(/corrupt\.json/.test(errors[0].message));
+});
+
+test('storage - DriveStorage persists to the filesystem through localdrive', async t => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'lrureplaysubject-'));
+    t.teardown(() => fs.rm(root, {recursive: true, force: true}));
+
+    const lru = new LRUReplaySubject({key: 'id', storage: new DriveStorage(new LocalDrive(root))});
+    lru.next({id: 'a/b', at: new Date(0)});
+    lru.next({id: 'c', at: new Date(1)});
+    await lru.flush();
+
+    const restored = new LRUReplaySubject({key: 'id', storage: new DriveStorage(new LocalDrive(root))});
+    await restored.ready;
+
+    t.alike([...restored.entriesDescending()], [...lru.entriesDescending()]);
+});
+
+test('shareLRUReplay - subscribers share one source subscription', t => {
+    let subscriptions = 0;
+    const source$ = new Subject();
+    const shared$ = new Observable(subscriber => {
+        subscriptions++;
+        return source$.subscribe(subscriber);
+    }).pipe(shareLRUReplay({maxSize: 10}));
+
+    const receivedValues1 = [];
+    const receivedValues2 = [];
+    shared$.subscribe(value => receivedValues1.push(value));
+    source$.next('A');
+    shared$.subscribe(value => receivedValues2.push(value));
+    source$.next('B');
+
+    t.is(subscriptions, 1);
+    t.alike(receivedValues1, ['A', 'B']);
+    t.alike(receivedValues2, ['A', 'B']);
+});
+
+test('shareLRUReplay - honours `maxAgeFor` on replay', async t => {
+    const source$ = new Subject();
+    const shared$ = source$.pipe(shareLRUReplay({maxSize: 10, maxAgeFor: value => value === 'A' ? 50 : 500}));
+
+    const receivedValues1 = [];
+    shared$.subscribe(value => receivedValues1.push(value));
+
+    source$.next('A');
+    source$.next('B');
+    await delay(100);
+
+    const receivedValues2 = [];
+    shared$.subscribe(value => receivedValues2.push(value));
+
+    t.alike(receivedValues1, ['A', 'B']);
+    t.alike(receivedValues2, ['B']);
+});
+
+test('shareLRUReplay - resets when the last subscriber unsubscribes', t => {
+    let active = 0;
+    const source$ = new Subject();
+    const shared$ = new Observable(subscriber => {
+        active++;
+        const sub = source$.subscribe(subscriber);
+        return () => {
+            active--;
+            sub.unsubscribe();
+        };
+    }).pipe(shareLRUReplay());
+
+    const sub1 = shared$.subscribe();
+    const sub2 = shared$.subscribe();
+    source$.next('A');
+    sub1.unsubscribe();
+    t.is(active, 1);
+    sub2.unsubscribe();
+    t.is(active, 0);
+
+    const receivedValues = [];
+    shared$.subscribe(value => receivedValues.push(value));
+    t.is(active, 1);
+    t.alike(receivedValues, []); // The cache was reset with the connection
+});
+
+test('shareLRUReplay - `resetOnRefCountZero` accepts a delay', async t => {
+    let subscriptions = 0;
+    const source$ = new Subject();
+    const shared$ = new Observable(subscriber => {
+        subscriptions++;
+        return source$.subscribe(subscriber);
+    }).pipe(shareLRUReplay({resetOnRefCountZero: 50}));
+
+    shared$.subscribe().unsubscribe();
+    const receivedValues = [];
+    shared$.subscribe(value => receivedValues.push(value)).unsubscribe();
+    source$.next('A');
+    t.is(subscriptions, 1);
+
+    await delay(100);
+    shared$.subscribe(value => receivedValues.push(value));
+    t.is(subscriptions, 2);
+    t.alike(receivedValues, []);
+});
+
+test('shareLRUReplay - `resetOnRefCountZero: false` keeps the source and cache alive', t => {
+    let subscriptions = 0;
+    const source$ = new Subject();
+    const shared$ = new Observable(subscriber => {
+        subscriptions++;
+        return source$.subscribe(subscriber);
+    }).pipe(shareLRUReplay({resetOnRefCountZero: false}));
+
+    shared$.subscribe().unsubscribe();
+    source$.next('A');
+
+    const receivedValues = [];
+    shared$.subscribe(value => receivedValues.push(value));
+    t.is(subscriptions, 1);
+    t.alike(receivedValues, ['A']);
+});
+
+test('shareLRUReplay - `keepCache` replays the cache after resubscribing to the source', t => {
+    let subscriptions = 0;
+    const source$ = new Subject();
+    const shared$ = new Observable(subscriber => {
+        subscriptions++;
+        return source$.subscribe(subscriber);
+    }).pipe(shareLRUReplay({keepCache: true}));
+
+    const sub = shared$.subscribe();
+    source$.next('A');
+    sub.unsubscribe();
+    source$.next('B'); // Not subscribed to the source anymore
+
+    const receivedValues = [];
+    shared$.subscribe(value => receivedValues.push(value));
+    source$.next('C');
+    t.is(subscriptions, 2);
+    t.alike(receivedValues, ['A', 'C']);
+});
+
+test('shareLRUReplay - replays and completes after the source completed', t => {
+    let subscriptions = 0;
+    const shared$ = new Observable(subscriber => {
+        subscriptions++;
+        subscriber.next('A');
+        subscriber.complete();
+    }).pipe(shareLRUReplay());
+
+    shared$.subscribe();
+    const receivedValues = [];
+    shared$.subscribe({next: value => receivedValues.push(value), complete: () => receivedValues.push('done')});
+
+    t.is(subscriptions, 1);
+    t.alike(receivedValues, ['A', 'done']);
+});
+
+test('shareLRUReplay - resubscribes to the source after an error by default', t => {
+    let subscriptions = 0;
+    const source$ = new Observable(subscriber => {
+        subscriptions++;
+        subscriber.error(new Error('failed'));
+    });
+
+    const shared$ = source$.pipe(shareLRUReplay());
+    const errors = [];
+    shared$.subscribe({error: err => errors.push(err.message)});
+    shared$.subscribe({error: err => errors.push(err.message)});
+
+    const kept$ = throwError(() => new Error('kept')).pipe(shareLRUReplay({resetOnError: false}));
+    kept$.subscribe({error: err => errors.push(err.message)});
+    kept$.subscribe({error: err => errors.push(err.message)});
+
+    t.is(subscriptions, 2);
+    t.alike(errors, ['failed', 'failed', 'kept', 'kept']);
+});
+
+test('replay - `config.replay.order` replays oldest first', t => {
+    const lru = new LRUReplaySubject({maxSize: 10, replay: {order: 'ascending'}});
+    lru.next('A');
+    lru.next('B');
+    lru.next('C');
+
+    const values = [];
+    lru.subscribe(value => values.push(value));
+    lru.next('D');
+
+    t.alike(values, ['A', 'B', 'C', 'D']);
+});
+
+test('replay - `observe` limits the replay to the newest values', t => {
+    const lru = new LRUReplaySubject({maxSize: 10});
+    lru.next('A');
+    lru.next('B');
+    lru.next('C');
+
+    const descending = [];
+    const ascending = [];
+    lru.observe({limit: 2}).subscribe(value => descending.push(value));
+    lru.observe({limit: 2, order: 'ascending'}).subscribe(value => ascending.push(value));
+
+    t.alike(descending, ['C', 'B']);
+    t.alike(ascending, ['B', 'C']);
+});
+
+test('replay - `observe` replays only values cached within the window', async t => {
+    const lru = new LRUReplaySubject({maxSize: 10});
+    lru.next('A');
+    await delay(100);
+    const since = Date.now();
+    lru.next('B');
+
+    const windowed = [];
+    const sinced = [];
+    lru.observe({window: 50}).subscribe(value => windowed.push(value));
+    lru.observe({since: new Date(since)}).subscribe(value => sinced.push(value));
+
+    t.alike(windowed, ['B']);
+    t.alike(sinced, ['B']);
+});
+
+test('replay - `observe` filters the replay by key but not live values', t => {
+    const lru = new LRUReplaySubject({maxSize: 10, key: 'symbol'});
+    lru.next({symbol: 'AAPL', price: 1});
+    lru.next({symbol: 'MSFT', price: 2});
+    lru.next({symbol: 'GOOG', price: 3});
+
+    const listed = [];
+    const filtered = [];
+    lru.observe({keys: ['AAPL', 'GOOG']}).subscribe(value => listed.push(value.symbol));
+    lru.observe({keys: (key, value) => value.price > 1}).subscribe(value => filtered.push(value.symbol));
+    lru.next({symbol: 'MSFT', price: 4});
+
+    t.alike(listed, ['GOOG', 'AAPL', 'MSFT']);
+    t.alike(filtered, ['GOOG', 'MSFT', 'MSFT']);
+});
+
+test('replay - `observe` falls back to `config.replay` and rejects invalid options', t => {
+    const lru = new LRUReplaySubject({maxSize: 10, replay: {order: 'ascending', limit: 2}});
+    lru.next('A');
+    lru.next('B');
+    lru.next('C');
+
+    const values = [];
+    lru.observe({limit: 3}).subscribe(value => values.push(value));
+
+    t.alike(values, ['A', 'B', 'C']);
+    t.exception.all(() => lru.observe({order: 'sideways'}), /Invalid replay order/);
+    t.exception.all(() => new LRUReplaySubject({replay: {limit: -1}}), /Invalid replay limit/);
+});
+
+test('storage - subscriptions made before hydration are replayed once', async t => {
+    const storage = new MemoryStorage();
+    await storage.put('"A"', {key: 'A', value: 'A', expiresAt: null, seq: 1});
+
+    const lru = new LRUReplaySubject({storage});
+    lru.next('B');
+    const values = [];
+    lru.subscribe(value => values.push(value));
+    await lru.ready;
+
+    t.alike(values, ['B', 'A']);
+});
+
+test('select - emits the cached value and then updates of the key only', t => {
+    const lru = new LRUReplaySubject({maxSize: 10, key: 'symbol'});
+    lru.next({symbol: 'AAPL', price: 1});
+    lru.next({symbol: 'MSFT', price: 2});
+
+    const prices = [];
+    lru.select('AAPL').subscribe(quote => prices.push(quote.price));
+    lru.next({symbol: 'MSFT', price: 3});
+    lru.next({symbol: 'AAPL', price: 4});
+
+    t.alike(prices, [1, 4]);
+});
+
+test('select - works with nested `key` paths and `map` functions', t => {
+    const nested = new LRUReplaySubject({key: 'nested.key'});
+    const mapped = new LRUReplaySubject({map: obj => `${obj.prefix}-${obj.id}`});
+
+    const values = [];
+    nested.select('1').subscribe(value => values.push(value.value));
+    mapped.select('item-1').subscribe(value => values.push(value.value));
+    nested.next({nested: {key: '1'}, value: 'a'});
+    nested.next({nested: {key: '2'}, value: 'b'});
+    mapped.next({prefix: 'item', id: '1', value: 'c'});
+    mapped.next({prefix: 'item', id: '2', value: 'd'});
+
+    t.alike(values, ['a', 'c']);
+});
+
+test('select - completes when the key is deleted or evicted', t => {
+    const lru = new LRUReplaySubject({maxSize: 1});
+    lru.next('A');
+
+    const events = [];
+    lru.select('A').subscribe({next: value => events.push(value), complete: () => events.push('complete')});
+    lru.next('B'); // Evicts 'A'
+
+    lru.select('B').subscribe({complete: () => events.push('deleted')});
+    lru.delete('B');
+
+    t.alike(events, ['A', 'complete', 'deleted']);
+});
+
+test('select - emits a signal on removal with `onRemove: \'emit\'`', async t => {
+    const lru = new LRUReplaySubject({maxSize: 10, maxAge: 50});
+
+    const events = [];
+    lru.select('A', {onRemove: 'emit', removedValue: null}).subscribe(value => events.push(value));
+    lru.next('A');
+    await delay(100);
+    t.alike([...lru.values()], []); // Accessing the cache finds 'A' expired
+    lru.next('A');
+
+    t.alike(events, ['A', null, 'A']);
+    t.exception.all(() => lru.select('A', {onRemove: 'explode'}), /Invalid onRemove option/);
+});
+
+test('select - completes with the subject', t => {
+    const lru = new LRUReplaySubject();
+    const events = [];
+    lru.select('A').subscribe({complete: () => events.push('complete')});
+    lru.complete();
+
+    t.alike(events, ['complete']);
+});
+
+test('scheduler - expired values are evicted on time without accessing the cache', async t => {
+    const evicted = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(value => evicted.push(value));
+
+    const lru = new LRUReplaySubject({maxAge: 50, scheduler: asyncScheduler, onEviction});
+    lru.next('A');
+    lru.next('B', {maxAge: Number.POSITIVE_INFINITY});
+    lru.next('C');
+    lru.delete('C');
+
+    await delay(100);
+
+    t.alike(evicted, ['A']);
+    t.alike([...lru.values()], ['B']);
+});
+
+test('scheduler - expiry follows virtual time of a TestScheduler', t => {
+    const testScheduler = new TestScheduler((actual, expected) => t.alike(actual, expected));
+
+    testScheduler.run(({hot, expectObservable}) => {
+        const onEviction = new Subject();
+        const lru = new LRUReplaySubject({maxAge: 5, scheduler: testScheduler, onEviction});
+        hot('a-b----a', {a: 'A', b: 'B'}).subscribe(lru);
+
+        expectObservable(onEviction).toBe('-----a-b----a', {a: 'A', b: 'B'});
+        expectObservable(lru, '-^').toBe('-ab----a', {a: 'A', b: 'B'});
+        expectObservable(lru, '------^').toBe('------ba', {a: 'A', b: 'B'});
+    });
+});
+
+test('scheduler - shareLRUReplay replays unexpired values in virtual time', t => {
+    const testScheduler = new TestScheduler((actual, expected) => t.alike(actual, expected));
+
+    testScheduler.run(({cold, expectObservable}) => {
+        const shared$ = cold('a-b|').pipe(shareLRUReplay({maxAge: 3, scheduler: testScheduler}));
+
+        expectObservable(shared$).toBe('a-b|');
+        expectObservable(shared$, '----^').toBe('----(b|)');
+    });
+});
+
+test('changes$ - reports every mutation of the cache', async t => {
+    const lru = new LRUReplaySubject({maxSize: 2, key: 'id'});
+    const changes = [];
+    lru.changes$.subscribe(({type, key, value, previous, reason}) => changes.push([type, key, value, previous, reason]));
+
+    const a1 = {id: 'a', v: 1};
+    const a2 = {id: 'a', v: 2};
+    const b = {id: 'b'};
+    const c = {id: 'c'};
+    lru.next(a1);
+    lru.next(a2);
+    lru.next(b);
+    lru.delete('b');
+    lru.next(c);
+    lru.resize(1); // Evicts 'a'
+    lru.clear();
+
+    t.alike(changes, [
+        ['set', 'a', a1, undefined, undefined],
+        ['update', 'a', a2, a1, undefined],
+        ['set', 'b', b, undefined, undefined],
+        ['delete', 'b', undefined, b, undefined],
+        ['set', 'c', c, undefined, undefined],
+        ['evict', 'a', undefined, a2, 'size'],
+        ['resize', undefined, 1, 2, undefined],
+        ['clear', undefined, undefined, undefined, undefined]
+    ]);
+});
+
+test('changes$ - reports expiry as an eviction', async t => {
+    const lru = new LRUReplaySubject({maxAge: 50, scheduler: asyncScheduler});
+    const changes = [];
+    lru.changes$.subscribe(({type, previous, reason}) => changes.push([type, previous, reason]));
+
+    lru.next('A');
+    await delay(100);
+
+    t.alike(changes, [['set', undefined, undefined], ['evict', 'A', 'expired']]);
+});
+
+test('changes$ - can mirror the cache into a Map', t => {
+    const lru = new LRUReplaySubject({maxSize: 2});
+    const mirror = new Map();
+    lru.changes$.subscribe(({type, key, value}) => {
+        if (type === 'set' || type === 'update') mirror.set(key, value);
+        else if (type === 'delete' || type === 'evict') mirror.delete(key);
+        else if (type === 'clear') mirror.clear();
+    });
+
+    for (const value of ['A', 'B', 'C', 'A', 'D', 'E']) {
+        lru.next(value);
+    }
+    lru.delete('D');
+
+    t.alike([...mirror].sort(), [...lru.entries()].sort());
+});
+
+test('select - completes when the cache is cleared', t => {
+    const lru = new LRUReplaySubject();
+    lru.next('A');
+
+    const events = [];
+    lru.select('A').subscribe({complete: () => events.push('A')});
+    lru.select('B').subscribe({complete: () => events.push('B')});
+    lru.clear();
+
+    t.alike(events, ['A']);
+});
+
+test('observeWithMeta - tells replayed values from live ones', t => {
+    const testScheduler = new TestScheduler((actual, expected) => t.alike(actual, expected));
+
+    testScheduler.run(() => {
+        const lru = new LRUReplaySubject({key: 'id', maxAge: 100, scheduler: testScheduler});
+        lru.next({id: 'a'});
+        testScheduler.schedule(() => lru.next({id: 'b'}, {maxAge: Number.POSITIVE_INFINITY}), 20);
+        testScheduler.schedule(() => {
+            const events = [];
+            lru.observeWithMeta().subscribe(event => events.push(event));
+            lru.next({id: 'c'});
+
+            t.alike(events, [
+                {type: 'value', key: 'b', value: {id: 'b'}, replayed: true, stale: false, insertedAt: 20, expiresAt: Number.POSITIVE_INFINITY},
+                {type: 'value', key: 'a', value: {id: 'a'}, replayed: true, stale: false, insertedAt: 0, expiresAt: 100},
+                {type: 'live'},
+                {type: 'value', key: 'c', value: {id: 'c'}, replayed: false, stale: false, insertedAt: 50, expiresAt: 150}
+            ]);
+        }, 50);
+    });
+});
+
+test('observeWithMeta - marks the end of an empty replay and honours replay options', t => {
+    const lru = new LRUReplaySubject();
+    const events = [];
+    lru.observeWithMeta().subscribe(event => events.push(event.type));
+    t.alike(events, ['live']);
+
+    lru.next('A');
+    lru.next('B');
+    const keys = [];
+    lru.observeWithMeta({limit: 1}).subscribe(event => keys.push(event.key));
+    t.alike(keys, ['B', undefined]);
+});
+
+test('handoff - values emitted during replay are delivered once, after the replay', t => {
+    const lru = new LRUReplaySubject();
+    lru.next('A');
+    lru.next('B');
+
+    const values = [];
+    lru.subscribe(value => {
+        values.push(value);
+        if (value === 'B') {
+            lru.next('C');
+            of('D', 'E').subscribe(value => lru.next(value));
+        }
+    });
+    lru.next('F');
+
+    t.alike(values, ['B', 'A', 'C', 'D', 'E', 'F']);
+});
+
+test('handoff - subscribers made during a replay get a consistent snapshot', t => {
+    const lru = new LRUReplaySubject();
+    lru.next('A');
+
+    const inner = [];
+    const outer = [];
+    lru.subscribe(value => {
+        outer.push(value);
+        if (value === 'A') {
+            lru.next('B');
+            lru.subscribe(value => inner.push(value));
+        }
+    });
+    lru.next('C');
+
+    t.alike(outer, ['A', 'B', 'C']);
+    t.alike(inner, ['B', 'A', 'C']);
+});
+
+test('handoff - a throwing handler does not abort the replay', async t => {
+    const reported = [];
+    const onUnhandledError = config.onUnhandledError;
+    config.onUnhandledError = err => reported.push(err.message);
+    t.teardown(() => config.onUnhandledError = onUnhandledError);
+
+    const lru = new LRUReplaySubject();
+    lru.next('A');
+    lru.next('B');
+
+    const values = [];
+    lru.subscribe(value => {
+        values.push(value);
+        if (value === 'B') throw new Error('handler failed');
+    });
+    lru.next('C');
+    await delay(10); // RxJS reports handler errors asynchronously
+
+    t.alike(values, ['B', 'A', 'C']);
+    t.alike(reported, ['handler failed']);
+});
+
+test('handoff - unsubscribing during replay stops it', t => {
+    const lru = new LRUReplaySubject();
+    lru.next('A');
+    lru.next('B');
+    lru.next('C');
+
+    const seen = [];
+    const taken = [];
+    lru.pipe(tap(value => seen.push(value)), take(1)).subscribe(value => taken.push(value));
+    lru.next('D');
+
+    t.alike(seen, ['C']);
+    t.alike(taken, ['C']);
+    t.is(lru.observers.length, 0);
+});
+
+test('handoff - an error emitted during replay is delivered after it', t => {
+    const lru = new LRUReplaySubject();
+    lru.next('A');
+    lru.next('B');
+
+    const events = [];
+    lru.subscribe({
+        next: value => {
+            events.push(value);
+            if (value === 'B') lru.error('failed');
+        },
+        error: err => events.push(err)
+    });
+
+    t.alike(events, ['B', 'A', 'failed']);
+});
+
+test('chunked replay - replays in chunks on a scheduler, holding back live values', t => {
+    const testScheduler = new TestScheduler((actual, expected) => t.alike(actual, expected));
+
+    testScheduler.run(({expectObservable}) => {
+        const lru = new LRUReplaySubject({replay: {order: 'ascending', scheduler: testScheduler, chunkSize: 2}});
+        for (const value of ['a', 'b', 'c', 'd', 'e']) {
+            lru.next(value);
+        }
+        testScheduler.schedule(() => lru.next('f'), 0);
+
+        expectObservable(lru).toBe('(abcdef)');
+    });
+
+    const lru = new LRUReplaySubject();
+    for (let i = 0; i < 5; i++) {
+        lru.next(i);
+    }
+    const values = [];
+    lru.observe({order: 'ascending', scheduler: testScheduler, chunkSize: 2}).subscribe(value => values.push(value));
+    lru.next(5);
+    t.alike(values, []);
+
+    testScheduler.flush();
+    t.alike(values, [0, 1, 2, 3, 4, 5]);
+});
+
+test('chunked replay - yields between chunks', async t => {
+    const lru = new LRUReplaySubject();
+    for (let i = 0; i < 6; i++) {
+        lru.next(i);
+    }
+
+    const values = [];
+    let afterFirstChunk;
+    lru.observe({order: 'ascending', scheduler: asyncScheduler, chunkSize: 4}).subscribe(value => {
+        values.push(value);
+        if (value === 3) queueMicrotask(() => afterFirstChunk = [...values]);
+    });
+    lru.next(6);
+    t.alike(values, []);
+
+    await delay(20);
+    t.alike(afterFirstChunk, [0, 1, 2, 3]);
+    t.alike(values, [0, 1, 2, 3, 4, 5, 6]);
+    t.exception.all(() => lru.observe({chunkSize: 0}), /Invalid replay chunk size/);
+});
+
+test('chunked replay - stops when unsubscribed', async t => {
+    const lru = new LRUReplaySubject();
+    for (let i = 0; i < 6; i++) {
+        lru.next(i);
+    }
+
+    const values = [];
+    const sub = lru.observe({order: 'ascending', scheduler: asyncScheduler, chunkSize: 2}).subscribe(value => {
+        values.push(value);
+        if (value === 1) sub.unsubscribe();
+    });
+    await delay(20);
+
+    t.alike(values, [0, 1]);
+});
+
+test('weight - evicts least recently used entries until the total weight fits', t => {
+    const events = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(({key, reason}) => events.push([key, reason]));
+
+    const lru = new LRUReplaySubject({
+        key: 'id',
+        maxWeight: 10,
+        sizeOf: value => value.weight,
+        evictionEvents: true,
+        onEviction
+    });
+    lru.next({id: 'a', weight: 4});
+    lru.next({id: 'b', weight: 4});
+    t.is(lru.weight, 8);
+
+    lru.next({id: 'a', weight: 2}); // Now the most recently used
+    t.is(lru.weight, 6);
+
+    lru.next({id: 'c', weight: 7});
+    t.is(lru.weight, 9);
+    t.alike([...lru.entries()].map(([key]) => key).sort(), ['a', 'c']);
+    t.alike(events, [['a', 'replaced'], ['b', 'weight']]);
+
+    lru.delete('a');
+    t.is(lru.weight, 7);
+});
+
+test('weight - rejects values heavier than the whole budget', t => {
+    const lru = new LRUReplaySubject({maxWeight: 10, sizeOf: value => value.length});
+    lru.next('tiny');
+
+    t.exception.all(() => lru.next('far too heavy'), RangeError);
+    t.alike([...lru.values()], ['tiny']);
+    t.is(lru.weight, 4);
+});
+
+test('weight - shareLRUReplay errors the shared stream instead of throwing out of the source', t => {
+    const source = new Subject();
+    const sourceErrors = [];
+    const shared = source.pipe(shareLRUReplay({
+        key: 'id',
+        maxWeight: 10,
+        sizeOf: value => value.w,
+        onSourceError: err => sourceErrors.push(err)
+    }));
+    const values = [];
+    let error;
+    shared.subscribe({next: value => values.push(value.id), error: err => error = err});
+
+    source.next({id: 'a', w: 5});
+    t.execution(() => source.next({id: 'b', w: 50}));
+    source.next({id: 'c', w: 5});
+
+    t.alike(values, ['a']);
+    t.ok(error instanceof RangeError);
+    t.alike(sourceErrors, [error]);
+    t.absent(source.observed, 'the source is unsubscribed');
+});
+
+test('weight - estimates sizes when no `sizeOf` is given', t => {
+    t.is(approximateSize('abc'), 6);
+    t.is(approximateSize({a: 1, b: [true, new Uint8Array(10)]}), 2 + 8 + 2 + 4 + 10);
+
+    const shared = 'x'.repeat(100);
+    const looped = {shared, again: shared};
+    looped.self = looped;
+    t.is(approximateSize(looped), 12 + 200 + 10 + 200 + 8);
+
+    const lru = new LRUReplaySubject({maxWeight: 20});
+    lru.next('12345');
+    lru.next('abcde');
+    lru.next('ABCDE');
+    t.is(lru.weight, 20);
+    t.alike([...lru.values()].sort(), ['ABCDE', 'abcde']);
+});
+
+for (const policy of ['lru', 'lfu', 'fifo', 'sieve']) {
+    test(`policy ${policy} - replays the cached values in both orders`, t => {
+        const lru = new LRUReplaySubject({key: 'id', policy});
+        lru.next({id: 'a'});
+        lru.next({id: 'b'});
+        lru.next({id: 'c'});
+
+        const ascending = [...lru.entriesAscending()].map(([key]) => key);
+        const descending = [...lru.entriesDescending()].map(([key]) => key);
+        t.alike(ascending, ['a', 'b', 'c']);
+        t.alike(descending, [...ascending].reverse());
+
+        const replayed = [];
+        lru.subscribe(({id}) => replayed.push(id));
+        lru.observe({order: 'ascending'}).subscribe(({id}) => replayed.push(id));
+        t.alike(replayed, [...descending, ...ascending]);
+    });
+
+    test(`policy ${policy} - evicts to stay within maxSize and reports evictions`, t => {
+        const evicted = [];
+        const onEviction = new Subject();
+        onEviction.subscribe(value => evicted.push(value));
+
+        const lru = new LRUReplaySubject({maxSize: 3, policy, onEviction});
+        for (let i = 0; i < 10; i++) {
+            lru.next(i);
+        }
+        t.ok(lru.size <= 3);
+        t.ok(evicted.length >= 4);
+        t.alike([...evicted, ...lru.values()].sort((a, b) => a - b), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+        lru.resize(1);
+        t.is(lru.size, 1);
+        t.is(evicted.length + lru.size, 10);
+        t.alike([...lru.values()], [9]);
+    });
+
+    test(`policy ${policy} - updates a cached key in place`, t => {
+        const changes = [];
+        const lru = new LRUReplaySubject({key: 'id', maxSize: 5, policy});
+        lru.changes$.subscribe(({type, key}) => changes.push([type, key]));
+        lru.next({id: 'a', v: 1});
+        lru.next({id: 'a', v: 2});
+
+        t.is(lru.size, 1);
+        t.alike([...lru.values()], [{id: 'a', v: 2}]);
+        t.alike(changes, [['set', 'a'], ['update', 'a']]);
+    });
+
+    test(`policy ${policy} - expires values`, async t => {
+        const events = [];
+        const onEviction = new Subject();
+        onEviction.subscribe(({value, reason}) => events.push([value, reason]));
+
+        const lru = new LRUReplaySubject({maxAge: 20, policy, evictionEvents: true, onEviction});
+        lru.next('a');
+        lru.next('b', {maxAge: 1000});
+        await delay(40);
+
+        t.alike([...lru.values()], ['b']);
+        t.alike(events, [['a', 'expired']]);
+    });
+
+    test(`policy ${policy} - keeps the value just cached when evicting for weight`, t => {
+        const changes = [];
+        const mirror = new Map();
+        const lru = new LRUReplaySubject({key: 'id', maxWeight: 10, sizeOf: value => value.w, policy});
+        lru.changes$.subscribe(({type, key, value}) => {
+            changes.push(`${type}:${key}`);
+            if (type === 'set' || type === 'update') mirror.set(key, value);
+            else mirror.delete(key);
+        });
+        const live = [];
+        lru.subscribe(({id}) => live.push(id));
+
+        lru.next({id: 'a', w: 4});
+        lru.next({id: 'b', w: 4});
+        lru.get('a');
+        lru.get('b');
+        lru.next({id: 'c', w: 4});
+
+        t.ok(lru.has('c'));
+        t.ok(lru.weight <= 10);
+        t.is(changes.at(-1), 'set:c');
+        t.alike(new Map(lru.entries()), mirror);
+        t.alike(live, ['a', 'b', 'c']);
+    });
+
+    test(`policy ${policy} - changes$ mirrors every mutation`, t => {
+        const mirror = new Map();
+        const lru = new LRUReplaySubject({key: 'id', maxSize: 3, policy, onNullish: 'tombstone'});
+        lru.changes$.subscribe(({type, key, value}) => {
+            if (type === 'set' || type === 'update') mirror.set(key, value);
+            else if (type === 'clear') mirror.clear();
+            else if (type !== 'resize') mirror.delete(key);
+        });
+
+        const check = () => t.alike(new Map(lru.entriesAscending()), mirror);
+        for (let i = 0; i < 20; i++) {
+            lru.next({id: i % 7, v: i});
+            if (i % 3 === 0) lru.get((i + 1) % 7);
+            if (i % 5 === 0) lru.next(tombstone((i + 2) % 7));
+        }
+        check();
+        lru.delete(5);
+        lru.resize(2);
+        check();
+        lru.clear();
+        lru.next({id: 'x'});
+        check();
+    });
+
+    test(`policy ${policy} - persists to storage and hydrates`, async t => {
+        const storage = new MemoryStorage();
+        const lru = new LRUReplaySubject({key: 'id', maxSize: 3, policy, storage});
+        for (let i = 0; i < 6; i++) lru.next({id: i});
+        lru.delete(5);
+        await lru.flush();
+
+        const restored = new LRUReplaySubject({key: 'id', maxSize: 3, policy, storage});
+        await restored.ready;
+        t.alike([...restored.keys()].sort(), [...lru.keys()].sort());
+        t.is(storage.records.size, lru.size);
+    });
+
+    test(`policy ${policy} - restores snapshots`, t => {
+        const lru = new LRUReplaySubject({key: 'id', maxSize: 3, policy});
+        for (let i = 0; i < 5; i++) lru.next({id: i, at: new Date(i)});
+
+        const restored = LRUReplaySubject.fromSnapshot(JSON.parse(JSON.stringify(lru.toSnapshot())), {key: 'id', maxSize: 3, policy});
+        t.alike([...restored.entriesAscending()], [...lru.entriesAscending()]);
+    });
+
+    test(`policy ${policy} - select and getOrLoad`, async t => {
+        const lru = new LRUReplaySubject({key: 'id', maxSize: 3, policy});
+        const selected = [];
+        lru.select('a').subscribe({next: ({v}) => selected.push(v), complete: () => selected.push('complete')});
+
+        t.alike(await lru.getOrLoad('a', id => ({id, v: 1})), {id: 'a', v: 1});
+        lru.next({id: 'a', v: 2});
+        t.alike(await lru.getOrLoad('a', () => t.fail('should not load')), {id: 'a', v: 2});
+        lru.delete('a');
+
+        t.alike(selected, [1, 2, 'complete']);
+    });
+}
+
+test('policy - lfu evicts the least frequently updated value', t => {
+    const evicted = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(({id}) => evicted.push(id));
+
+    const lru = new LRUReplaySubject({key: 'id', maxSize: 2, policy: 'lfu', onEviction});
+    lru.next({id: 'a'});
+    lru.next({id: 'a'});
+    lru.next({id: 'b'});
+    lru.next({id: 'c'});
+    lru.next({id: 'd'});
+
+    t.alike(evicted, ['b', 'c']);
+    t.alike([...lru.entriesAscending()].map(([key]) => key), ['d', 'a']);
+});
+
+test('policy - fifo evicts the value cached first, even if updated', t => {
+    const evicted = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(({id}) => evicted.push(id));
+
+    const lru = new LRUReplaySubject({key: 'id', maxSize: 2, policy: 'fifo', onEviction});
+    lru.next({id: 'a'});
+    lru.next({id: 'b'});
+    lru.next({id: 'a'});
+    lru.next({id: 'c'});
+
+    t.alike(evicted, ['a']);
+    t.alike([...lru.entriesAscending()].map(([key]) => key), ['b', 'c']);
+});
+
+test('policy - sieve spares values updated since the hand passed them', t => {
+    const evicted = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(({id}) => evicted.push(id));
+
+    const lru = new LRUReplaySubject({key: 'id', maxSize: 3, policy: 'sieve', onEviction});
+    lru.next({id: 'a'});
+    lru.next({id: 'b'});
+    lru.next({id: 'c'});
+    lru.next({id: 'a'});
+    lru.next({id: 'd'});
+    t.alike(evicted, ['b']);
+
+    lru.next({id: 'e'});
+    t.alike(evicted, ['b', 'c']);
+    t.alike([...lru.entriesAscending()].map(([key]) => key), ['a', 'd', 'e']);
+});
+
+test('policy - accepts a function returning a custom policy', t => {
+    // Evicts the newest value, keeping the first ones
+    class KeepFirstPolicy extends FIFOPolicy {
+        victim() {
+            return [...this.keys()].pop();
+        }
+    }
+
+    let created = 0;
+    const lru = new LRUReplaySubject({
+        maxSize: 2,
+        policy: () => {
+            created++;
+            return new KeepFirstPolicy();
+        }
+    });
+    lru.next('a');
+    lru.next('b');
+    lru.next('c');
+
+    t.is(created, 1);
+    t.alike([...lru.values()], ['a', 'c']);
+});
+
+test('policy - rejects unknown policies', t => {
+    t.exception.all(() => new LRUReplaySubject({policy: 'mru'}), TypeError);
+    t.exception.all(() => new LRUReplaySubject({policy: new FIFOPolicy()}), TypeError);
+});
+
+test('merge - caches and emits partial updates merged into the cached value', t => {
+    const calls = [];
+    const lru = new LRUReplaySubject({
+        key: 'symbol',
+        merge: (previous, incoming, key) => {
+            calls.push(key);
+            return {...previous, ...incoming};
+        }
+    });
+    const live = [];
+    lru.subscribe(value => live.push(value));
+
+    lru.next({symbol: 'AAPL', price: 190, volume: 1000});
+    lru.next({symbol: 'MSFT', price: 410, volume: 500});
+    lru.next({symbol: 'AAPL', price: 191});
+
+    t.alike(calls, ['AAPL']);
+    t.alike(live, [
+        {symbol: 'AAPL', price: 190, volume: 1000},
+        {symbol: 'MSFT', price: 410, volume: 500},
+        {symbol: 'AAPL', price: 191, volume: 1000}
+    ]);
+
+    const replayed = [];
+    lru.subscribe(value => replayed.push(value));
+    t.alike(replayed, [
+        {symbol: 'AAPL', price: 191, volume: 1000},
+        {symbol: 'MSFT', price: 410, volume: 500}
+    ]);
+});
+
+test('merge - emits incoming values live while replaying merged ones', t => {
+    const lru = new LRUReplaySubject({
+        key: 'symbol',
+        merge: (previous, incoming) => ({...previous, ...incoming}),
+        emit: 'incoming'
+    });
+    const live = [];
+    const selected = [];
+    const changes = [];
+    lru.subscribe(value => live.push(value));
+    lru.select('AAPL').subscribe(value => selected.push(value));
+    lru.changes$.subscribe(({type, value, previous}) => changes.push([type, value, previous]));
+
+    lru.next({symbol: 'AAPL', price: 190, volume: 1000});
+    lru.next({symbol: 'AAPL', price: 191});
+
+    t.alike(live, [{symbol: 'AAPL', price: 190, volume: 1000}, {symbol: 'AAPL', price: 191}]);
+    t.alike(selected, [{symbol: 'AAPL', price: 190, volume: 1000}, {symbol: 'AAPL', price: 191, volume: 1000}]);
+    t.alike(changes[1], ['update', {symbol: 'AAPL', price: 191, volume: 1000}, {symbol: 'AAPL', price: 190, volume: 1000}]);
+
+    const replayed = [];
+    lru.subscribe(value => replayed.push(value));
+    t.alike(replayed, [{symbol: 'AAPL', price: 191, volume: 1000}]);
+});
+
+test('merge - starts over once the key has left the cache', t => {
+    const lru = new LRUReplaySubject({key: 'id', merge: (previous, incoming) => ({...previous, ...incoming})});
+    lru.next({id: 'a', x: 1});
+    lru.delete('a');
+    lru.next({id: 'a', y: 2});
+
+    t.alike([...lru.values()], [{id: 'a', y: 2}]);
+});
+
+test('merge - rejects an invalid emit option', t => {
+    t.exception.all(() => new LRUReplaySubject({emit: 'raw'}), TypeError);
+});
+
+test('shareLRUReplay - merges partial updates of the source', t => {
+    const source = new Subject();
+    const shared = source.pipe(shareLRUReplay({key: 'id', merge: (previous, incoming) => ({...previous, ...incoming})}));
+    shared.subscribe(() => {});
+
+    source.next({id: 'a', x: 1});
+    source.next({id: 'a', y: 2});
+
+    const replayed = [];
+    shared.subscribe(value => replayed.push(value));
+    t.alike(replayed, [{id: 'a', x: 1, y: 2}]);
+});
+
+test('distinct - suppresses values equal to the cached value of their key', t => {
+    const lru = new LRUReplaySubject({key: 'id', distinct: true});
+    const live = [];
+    const changes = [];
+    lru.subscribe(value => live.push(value));
+    lru.changes$.subscribe(({type, key}) => changes.push([type, key]));
+
+    lru.next({id: 'a', status: 'up'});
+    lru.next({id: 'a', status: 'up'});
+    lru.next({id: 'b', status: 'up'});
+    lru.next({id: 'a', status: 'down'});
+    lru.next({id: 'a', status: 'down'});
+
+    t.alike(live, [{id: 'a', status: 'up'}, {id: 'b', status: 'up'}, {id: 'a', status: 'down'}]);
+    t.alike(changes, [['set', 'a'], ['set', 'b'], ['update', 'a']]);
+    t.is(lru.suppressed, 2);
+});
+
+test('distinct - suppressed values refresh the expiry of the cached value', async t => {
+    const evicted = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(({id}) => evicted.push(id));
+
+    const lru = new LRUReplaySubject({key: 'id', maxAge: 60, distinct: true, onEviction});
+    const first = {id: 'a', n: 1};
+    lru.next(first);
+    lru.next({id: 'b', n: 1});
+    await delay(40);
+    lru.next({id: 'a', n: 1});
+    await delay(40);
+
+    t.alike([...lru.values()], [first]);
+    t.is([...lru.values()][0], first, 'keeps the value subscribers received');
+    t.alike(evicted, ['b']);
+});
+
+test('distinct - accepts a custom or deep equality check', t => {
+    const deep = new LRUReplaySubject({key: 'id', distinct: deepEqual});
+    deep.next({id: 'a', tags: ['x'], at: new Date(0)});
+    deep.next({id: 'a', tags: ['x'], at: new Date(0)});
+    deep.next({id: 'a', tags: ['y'], at: new Date(0)});
+    t.is(deep.suppressed, 1);
+
+    const byVersion = new LRUReplaySubject({key: 'id', distinct: (a, b) => a.version === b.version});
+    byVersion.next({id: 'a', version: 1, polledAt: 1});
+    byVersion.next({id: 'a', version: 1, polledAt: 2});
+    t.is(byVersion.suppressed, 1);
+
+    t.exception.all(() => new LRUReplaySubject({distinct: 'deep'}), TypeError);
+});
+
+test('distinct - compares merged values', t => {
+    const lru = new LRUReplaySubject({key: 'id', distinct: true, merge: (previous, incoming) => ({...previous, ...incoming})});
+    const live = [];
+    lru.subscribe(value => live.push(value));
+
+    lru.next({id: 'a', x: 1, y: 1});
+    lru.next({id: 'a', y: 1});
+    lru.next({id: 'a', y: 2});
+
+    t.alike(live, [{id: 'a', x: 1, y: 1}, {id: 'a', x: 1, y: 2}]);
+    t.is(lru.suppressed, 1);
+});
+
+test('distinct - shallowEqual and deepEqual', t => {
+    t.ok(shallowEqual({a: 1, b: 'x'}, {b: 'x', a: 1}));
+    t.ok(shallowEqual([1, 2], [1, 2]));
+    t.absent(shallowEqual({a: {}}, {a: {}}));
+    t.absent(shallowEqual({a: 1}, {a: 1, b: undefined}));
+    t.absent(shallowEqual([1], {0: 1}));
+
+    t.ok(deepEqual({a: {b: [1, {c: NaN}]}}, {a: {b: [1, {c: NaN}]}}));
+    t.ok(deepEqual(new Map([['a', {x: 1}]]), new Map([['a', {x: 1}]])));
+    t.ok(deepEqual(new Set([1, 2]), new Set([2, 1])));
+    t.ok(deepEqual(new Uint8Array([1, 2]), new Uint8Array([1, 2])));
+    t.absent(deepEqual(new Date(0), new Date(1)));
+    t.absent(deepEqual({a: [1, 2]}, {a: [1, 2, 3]}));
+});
+
+test('onNullish - ignores null and undefined by default', t => {
+    const error = console.error;
+    let logged = 0;
+    console.error = () => logged++;
+    t.teardown(() => console.error = error);
+
+    const lru = new LRUReplaySubject();
+    const live = [];
+    lru.subscribe(value => live.push(value));
+    lru.next(null);
+    lru.next(undefined);
+    lru.next('a');
+
+    t.alike(live, ['a']);
+    t.is(lru.size, 1);
+    t.is(logged, 0);
+});
+
+test('onNullish - throws or errors the subject', t => {
+    const throwing = new LRUReplaySubject({onNullish: 'throw'});
+    t.exception.all(() => throwing.next(null), TypeError);
+    t.is(throwing.size, 0);
+    t.absent(throwing.hasError);
+
+    const erroring = new LRUReplaySubject({onNullish: 'error'});
+    let error;
+    erroring.subscribe({error: err => error = err});
+    erroring.next(undefined);
+    t.ok(error instanceof TypeError);
+
+    t.exception.all(() => new LRUReplaySubject({onNullish: 'log'}), TypeError);
+});
+
+test('onNullish - tombstones delete their key and reach live subscribers', t => {
+    const lru = new LRUReplaySubject({key: 'id', onNullish: 'tombstone'});
+    const live = [];
+    const changes = [];
+    let completed = false;
+    lru.subscribe(value => live.push(value));
+    lru.changes$.subscribe(({type, key}) => changes.push([type, key]));
+
+    lru.next({id: 'a'});
+    lru.next({id: 'b'});
+    lru.select('a').subscribe({complete: () => completed = true});
+    lru.next(tombstone('a'));
+    lru.next({id: 'b', deleted: true});
+    lru.next(null);
+
+    t.alike(live, [{id: 'a'}, {id: 'b'}, {key: 'a', deleted: true}, {id: 'b', deleted: true}]);
+    t.alike(changes, [['set', 'a'], ['set', 'b'], ['delete', 'a'], ['delete', 'b']]);
+    t.ok(completed);
+    t.is(lru.size, 0);
+
+    const replayed = [];
+    lru.subscribe(value => replayed.push(value));
+    t.alike(replayed, []);
+});
+
+test('onNullish - values marked deleted are cached unless tombstones are enabled', t => {
+    const lru = new LRUReplaySubject({key: 'id'});
+    lru.next({id: 'a', deleted: true});
+    t.alike([...lru.values()], [{id: 'a', deleted: true}]);
+});
+
+test('onNullish - observeWithMeta describes tombstones as deletions', t => {
+    const lru = new LRUReplaySubject({key: 'id', onNullish: 'tombstone'});
+    const events = [];
+    lru.observeWithMeta().subscribe(event => events.push(event));
+    lru.next(tombstone('a'));
+
+    t.alike(events, [{type: 'live'}, {type: 'delete', key: 'a', value: {key: 'a', deleted: true}, replayed: false}]);
+});
+
+test('validate - rejected values are neither cached nor emitted', t => {
+    const lru = new LRUReplaySubject({key: 'symbol', validate: quote => Number.isFinite(quote.price)});
+    const live = [];
+    const rejected = [];
+    lru.subscribe(value => live.push(value));
+    lru.onRejected.subscribe(({value, reason}) => rejected.push([value, reason]));
+
+    lru.next({symbol: 'AAPL', price: 190});
+    lru.next({symbol: 'AAPL', price: 'n/a'});
+
+    t.alike(live, [{symbol: 'AAPL', price: 190}]);
+    t.alike([...lru.values()], [{symbol: 'AAPL', price: 190}]);
+    t.is(rejected.length, 1);
+    t.alike(rejected[0][0], {symbol: 'AAPL', price: 'n/a'});
+    t.ok(rejected[0][1] instanceof TypeError);
+});
+
+test('validate - reports the error thrown by a schema-like validator', t => {
+    const onRejected = new Subject();
+    const reasons = [];
+    onRejected.subscribe(({reason}) => reasons.push(reason.message));
+
+    const lru = new LRUReplaySubject({
+        validate: value => {
+            if (typeof value !== 'string') throw new Error(`Expected a string, got ${typeof value}`);
+        },
+        onRejected
+    });
+    lru.next('a');
+    lru.next(1);
+
+    t.alike([...lru.values()], ['a']);
+    t.alike(reasons, ['Expected a string, got number']);
+});
+
+test('shareLRUReplay - validates source values and reports source errors to onSourceError', t => {
+    const source = new Subject();
+    const rejected = [];
+    const sourceErrors = [];
+    const onRejected = new Subject();
+    onRejected.subscribe(({value}) => rejected.push(value));
+
+    const shared = source.pipe(shareLRUReplay({
+        validate: value => value > 0,
+        onRejected,
+        onSourceError: err => sourceErrors.push(err.message)
+    }));
+    const values = [];
+    let error;
+    shared.subscribe({next: value => values.push(value), error: err => error = err});
+
+    source.next(1);
+    source.next(-1);
+    source.error(new Error('failed'));
+
+    t.alike(values, [1]);
+    t.alike(rejected, [-1]);
+    t.alike(sourceErrors, ['failed']);
+    t.is(error.message, 'failed');
+});
+
+test('keys - tryExtractKey follows paths without changing them', t => {
+    const path = ['quote', 'symbol'];
+    const fromSegments = tryExtractKey(path);
+    const fromString = tryExtractKey('quote.symbol');
+
+    t.is(fromSegments({quote: {symbol: 'AAPL'}}), 'AAPL');
+    t.is(fromSegments({quote: {symbol: 'MSFT'}}), 'MSFT');
+    t.alike(path, ['quote', 'symbol']);
+    t.is(fromString({quote: {symbol: 'AAPL'}}), 'AAPL');
+    t.is(fromString({quote: {symbol: 'MSFT'}}), 'MSFT');
+
+    t.is(fromString({quote: null}), undefined);
+    t.is(fromString({quote: 'AAPL'}), undefined);
+    t.is(fromString({}), undefined);
+    t.is(tryExtractKey()('a'), 'a');
+
+    const custom = value => value.id;
+    t.is(tryExtractKey(custom), custom);
+});
+
+test('keys - compositeKey combines several paths into a stable key', t => {
+    const extract = compositeKey(['exchange', 'listing.symbol']);
+
+    t.is(extract({exchange: 'NYSE', listing: {symbol: 'IBM'}}), extract({listing: {symbol: 'IBM'}, exchange: 'NYSE'}));
+    t.not(extract({exchange: 'NYSE', listing: {symbol: 'IBM'}}), extract({exchange: 'LSE', listing: {symbol: 'IBM'}}));
+    t.not(extract({exchange: 'a,b', listing: {symbol: 'c'}}), extract({exchange: 'a', listing: {symbol: 'b,c'}}));
+    t.is(extract({exchange: 'NYSE'}), undefined);
+
+    const lru = new LRUReplaySubject({key: extract});
+    lru.next({exchange: 'NYSE', listing: {symbol: 'IBM'}, price: 1});
+    lru.next({exchange: 'LSE', listing: {symbol: 'IBM'}, price: 2});
+    lru.next({exchange: 'NYSE', listing: {symbol: 'IBM'}, price: 3});
+    t.alike([...lru.values()].map(({price}) => price).sort(), [2, 3]);
+});
+
+test('keys - values without a key pass through uncached by default', t => {
+    const lru = new LRUReplaySubject({key: 'id'});
+    const live = [];
+    lru.subscribe(value => live.push(value));
+
+    lru.next({id: 'a'});
+    lru.next({name: 'no id'});
+    lru.next({name: 'no id either'});
+
+    t.alike(live, [{id: 'a'}, {name: 'no id'}, {name: 'no id either'}]);
+    t.alike([...lru.values()], [{id: 'a'}]);
+});
+
+test('keys - values without a key can be rejected or throw', t => {
+    const rejecting = new LRUReplaySubject({key: 'id', onMissingKey: 'reject'});
+    const live = [];
+    const rejected = [];
+    rejecting.subscribe(value => live.push(value));
+    rejecting.onRejected.subscribe(({value, reason}) => rejected.push([value, reason.constructor]));
+    rejecting.next({name: 'no id'});
+    t.alike(live, []);
+    t.alike(rejected, [[{name: 'no id'}, TypeError]]);
+
+    const throwing = new LRUReplaySubject({key: 'id', onMissingKey: 'throw'});
+    t.exception.all(() => throwing.next({name: 'no id'}), TypeError);
+    t.is(throwing.size, 0);
+
+    t.exception.all(() => new LRUReplaySubject({onMissingKey: 'cache'}), TypeError);
+});
+
+test('keys - normalizeKey folds keys extracted and given', t => {
+    const lru = new LRUReplaySubject({key: 'symbol', normalizeKey: key => key.toUpperCase(), onNullish: 'tombstone'});
+    const selected = [];
+    lru.select('aapl').subscribe(({price}) => selected.push(price));
+
+    lru.next({symbol: 'AAPL', price: 1});
+    lru.next({symbol: 'aapl', price: 2});
+    lru.next({symbol: 'msft', price: 3});
+    t.is(lru.size, 2);
+    t.alike(selected, [1, 2]);
+    t.alike([...lru.entriesAscending()].map(([key]) => key), ['AAPL', 'MSFT']);
+
+    const replayed = [];
+    lru.observe({keys: ['aapl']}).subscribe(({price}) => replayed.push(price));
+    t.alike(replayed, [2]);
+
+    t.ok(lru.delete('Msft'));
+    lru.next(tombstone('Aapl'));
+    t.is(lru.size, 0);
+});
+
+test('read - get marks entries as used, peek does not', t => {
+    const evicted = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(({id}) => evicted.push(id));
+
+    const lru = new LRUReplaySubject({key: 'id', maxSize: 2, policy: 'lfu', onEviction});
+    lru.next({id: 'a'});
+    lru.next({id: 'b'});
+
+    t.alike(lru.get('a'), {id: 'a'});
+    t.alike(lru.peek('b'), {id: 'b'});
+    lru.next({id: 'c'});
+    t.alike(evicted, ['b']);
+
+    t.is(lru.get('b'), undefined);
+    t.is(lru.peek('b'), undefined);
+    t.ok(lru.has('a'));
+    t.absent(lru.has('b'));
+    t.alike([...lru.keys()].sort(), ['a', 'c']);
+});
+
+test('read - has, get and peek respect expiry and normalizeKey', async t => {
+    const lru = new LRUReplaySubject({key: 'symbol', maxAge: 20, normalizeKey: key => key.toUpperCase()});
+    lru.next({symbol: 'aapl'});
+
+    t.ok(lru.has('Aapl'));
+    t.alike(lru.peek('aapl'), {symbol: 'aapl'});
+    t.alike(lru.get('AAPL'), {symbol: 'aapl'});
+
+    await delay(40);
+    t.absent(lru.has('AAPL'));
+    t.is(lru.get('AAPL'), undefined);
+    t.is(lru.peek('AAPL'), undefined);
+});
+
+test('read - expiresIn tells the remaining lifetime of an entry', t => {
+    const scheduler = new TestScheduler(() => {});
+    scheduler.run(({flush}) => {
+        const lru = new LRUReplaySubject({maxAge: 100, scheduler});
+        lru.next('a');
+        lru.next('b', {maxAge: Number.POSITIVE_INFINITY});
+
+        t.is(lru.expiresIn('a'), 100);
+        t.is(lru.expiresIn('b'), Number.POSITIVE_INFINITY);
+        t.is(lru.expiresIn('c'), undefined);
+
+        scheduler.schedule(() => t.is(lru.expiresIn('a'), 60), 40);
+        scheduler.schedule(() => t.is(lru.expiresIn('a'), undefined), 100);
+        flush();
+    });
+});
+
+test('read - promoteOnReplay marks replayed entries as used', t => {
+    for (const promoteOnReplay of [false, true]) {
+        const evicted = [];
+        const onEviction = new Subject();
+        onEviction.subscribe(({id}) => evicted.push(id));
+
+        const lru = new LRUReplaySubject({key: 'id', maxSize: 2, policy: 'lfu', promoteOnReplay, onEviction});
+        lru.next({id: 'a'});
+        lru.next({id: 'b'});
+        lru.observe({keys: ['a']}).subscribe(() => {});
+        lru.next({id: 'c'});
+
+        t.alike(evicted, promoteOnReplay ? ['b'] : ['a']);
+    }
+});
+
+test('read - promoteOnReplay keeps the order of replayed entries', t => {
+    const lru = new LRUReplaySubject({key: 'id', policy: 'lfu', promoteOnReplay: true});
+    lru.next({id: 'a'});
+    lru.next({id: 'b'});
+    lru.next({id: 'c'});
+    lru.observe({keys: ['a', 'b']}).subscribe(() => {});
+
+    t.alike([...lru.entriesAscending()].map(([key]) => key), ['c', 'a', 'b']);
+});
+
+test('getOrLoad - serves cached values without loading', async t => {
+    const lru = new LRUReplaySubject({key: 'id'});
+    lru.next({id: 'a', name: 'cached'});
+
+    const value = await lru.getOrLoad('a', () => t.fail('should not load'));
+    t.alike(value, {id: 'a', name: 'cached'});
+});
+
+test('getOrLoad - loads a missing key once for concurrent callers and broadcasts it', async t => {
+    const lru = new LRUReplaySubject({key: 'id'});
+    const live = [];
+    lru.subscribe(value => live.push(value));
+
+    let loads = 0;
+    const loader = async id => {
+        loads++;
+        await delay(10);
+        return {id, name: 'loaded'};
+    };
+    const values = await Promise.all([lru.getOrLoad('a', loader), lru.getOrLoad('a', loader), lru.getOrLoad('a', loader)]);
+
+    t.is(loads, 1);
+    t.alike(values, [{id: 'a', name: 'loaded'}, {id: 'a', name: 'loaded'}, {id: 'a', name: 'loaded'}]);
+    t.alike(live, [{id: 'a', name: 'loaded'}]);
+    t.alike(lru.peek('a'), {id: 'a', name: 'loaded'});
+
+    await lru.getOrLoad('a', loader);
+    t.is(loads, 1);
+});
+
+test('getOrLoad - keeps values cached while loading over the loaded value', async t => {
+    const lru = new LRUReplaySubject({key: 'id'});
+    const live = [];
+    lru.subscribe(value => live.push(value.v));
+
+    const load = lru.getOrLoad('x', async id => {
+        await delay(10);
+        return {id, v: 'loaded-older'};
+    });
+    lru.next({id: 'x', v: 'live-newer'});
+
+    t.alike(await load, {id: 'x', v: 'live-newer'});
+    t.alike(lru.peek('x'), {id: 'x', v: 'live-newer'});
+    t.alike(live, ['live-newer']);
+});
+
+test('getOrLoad - accepts loaders returning Observables and applies maxAge', async t => {
+    const lru = new LRUReplaySubject({key: 'id'});
+    const value = await lru.getOrLoad('a', id => of({id, n: 1}, {id, n: 2}), {maxAge: 1000});
+
+    t.alike(value, {id: 'a', n: 1});
+    t.ok(lru.expiresIn('a') <= 1000);
+});
+
+test('getOrLoad - reports failures without caching them', async t => {
+    const lru = new LRUReplaySubject({key: 'id'});
+    const errors = [];
+    lru.onLoadError.subscribe(({key, error}) => errors.push([key, error.message]));
+
+    let loads = 0;
+    const failing = () => {
+        loads++;
+        throw new Error('unavailable');
+    };
+    await t.exception(lru.getOrLoad('a', failing), /unavailable/);
+    await t.exception(lru.getOrLoad('a', async () => failing()), /unavailable/);
+
+    t.is(loads, 2);
+    t.alike(errors, [['a', 'unavailable'], ['a', 'unavailable']]);
+    t.absent(lru.has('a'));
+
+    t.alike(await lru.getOrLoad('a', id => ({id})), {id: 'a'});
+});
+
+test('getOrLoad - rejects loaded values with another key', async t => {
+    const lru = new LRUReplaySubject({key: 'id'});
+    const errors = [];
+    lru.onLoadError.subscribe(({key, error}) => errors.push([key, error.message]));
+
+    let loads = 0;
+    const loader = () => {
+        loads++;
+        return {id: 1, name: 'row'};
+    };
+    await t.exception.all(lru.getOrLoad('1', loader), TypeError);
+    await t.exception.all(lru.getOrLoad('1', loader), TypeError);
+
+    t.is(loads, 2);
+    t.alike(errors, [['1', "Loaded value has the key 1 instead of '1'"], ['1', "Loaded value has the key 1 instead of '1'"]]);
+    t.absent(lru.has('1'));
+    t.absent(lru.has(1));
+
+    t.alike(await lru.getOrLoad(1, loader), {id: 1, name: 'row'});
+    t.ok(lru.has(1));
+});
+
+test('getOrLoad - remembers failures for negativeMaxAge', async t => {
+    const lru = new LRUReplaySubject({key: 'id', negativeMaxAge: 30});
+    let loads = 0;
+    const failing = async () => {
+        loads++;
+        throw new Error('not found');
+    };
+
+    await t.exception(lru.getOrLoad('a', failing), /not found/);
+    await t.exception(lru.getOrLoad('a', failing), /not found/);
+    t.is(loads, 1);
+
+    await delay(50);
+    t.alike(await lru.getOrLoad('a', id => ({id})), {id: 'a'});
+
+    await t.exception(lru.getOrLoad('b', failing, {negativeMaxAge: 0}), /not found/);
+    await t.exception(lru.getOrLoad('b', failing), /not found/);
+    t.is(loads, 3);
+});
+
+test('getOrLoad - fails loads that next throws on or does not cache', async t => {
+    const lru = new LRUReplaySubject({key: 'id', maxWeight: 10, sizeOf: value => value.w, validate: value => value.w > 0, negativeMaxAge: 60000});
+    const errors = [];
+    lru.onLoadError.subscribe(({key, error}) => errors.push([key, error.constructor]));
+
+    let loads = 0;
+    const loader = w => id => {
+        loads++;
+        return {id, w};
+    };
+    await t.exception.all(lru.getOrLoad('heavy', loader(50)), RangeError);
+    await t.exception.all(lru.getOrLoad('heavy', loader(50)), RangeError);
+    await t.exception.all(lru.getOrLoad('invalid', loader(-1)), TypeError);
+
+    t.is(loads, 2, 'failures are remembered');
+    t.alike(errors, [['heavy', RangeError], ['invalid', TypeError]]);
+    t.is(lru.size, 0);
+});
+
+test('getOrLoad - remembers at most maxSize failures', async t => {
+    const lru = new LRUReplaySubject({key: 'id', maxSize: 2, negativeMaxAge: 60000});
+    const loads = new Map();
+    const failing = async id => {
+        loads.set(id, (loads.get(id) || 0) + 1);
+        throw new Error('not found');
+    };
+
+    for (let i = 0; i < 1000; i++) {
+        await t.exception(lru.getOrLoad(i, failing), /not found/);
+    }
+    await t.exception(lru.getOrLoad(999, failing), /not found/);
+    await t.exception(lru.getOrLoad(998, failing), /not found/);
+    await t.exception(lru.getOrLoad(0, failing), /not found/);
+
+    t.is(loads.get(999), 1, 'the latest failures are remembered');
+    t.is(loads.get(998), 1);
+    t.is(loads.get(0), 2, 'older failures are forgotten');
+});
+
+test('staleAfter - replays stale values flagged, and revalidates them through next', async t => {
+    const calls = [];
+    const lru = new LRUReplaySubject({
+        key: 'symbol',
+        staleAfter: 20,
+        revalidate: async (symbol, stale) => {
+            calls.push([symbol, stale.price]);
+            return {symbol, price: stale.price + 1};
+        }
+    });
+    lru.next({symbol: 'AAPL', price: 1});
+
+    const fresh = [];
+    lru.observeWithMeta().subscribe(event => fresh.push(event.stale));
+    t.alike(fresh, [false, undefined]);
+    t.absent(lru.isStale('AAPL'));
+    t.is(calls.length, 0);
+
+    await delay(40);
+    t.ok(lru.isStale('AAPL'));
+
+    const events = [];
+    lru.observeWithMeta().subscribe(event => events.push(event));
+    t.alike(events.map(({type, stale, value}) => [type, stale, value]), [
+        ['value', true, {symbol: 'AAPL', price: 1}],
+        ['live', undefined, undefined]
+    ]);
+
+    await delay(10);
+    t.alike(calls, [['AAPL', 1]]);
+    t.alike(events.slice(2).map(({type, stale, value}) => [type, stale, value]), [
+        ['value', false, {symbol: 'AAPL', price: 2}]
+    ]);
+    t.absent(lru.isStale('AAPL'));
+});
+
+test('staleAfter - revalidation is deduplicated and rate-limited per key', async t => {
+    let calls = 0;
+    const errors = [];
+    const lru = new LRUReplaySubject({
+        key: 'id',
+        staleAfter: 10,
+        revalidateInterval: 100,
+        revalidate: async () => {
+            calls++;
+            await delay(10);
+            throw new Error('upstream slow');
+        }
+    });
+    lru.onLoadError.subscribe(({key, error}) => errors.push([key, error.message]));
+    lru.next({id: 'a'});
+    lru.next({id: 'b'});
+    await delay(20);
+
+    lru.get('a');
+    lru.get('a');
+    lru.subscribe(() => {});
+    t.is(calls, 2, 'one revalidation per key at a time');
+
+    await delay(30);
+    lru.get('a');
+    t.is(calls, 2, 'not again within revalidateInterval');
+    t.alike(errors.sort(), [['a', 'upstream slow'], ['b', 'upstream slow']]);
+    t.alike(lru.peek('a'), {id: 'a'}, 'stale values stay cached on failure');
+});
+
+test('staleAfter - drops revalidated values of entries removed or replaced meanwhile', async t => {
+    const lru = new LRUReplaySubject({
+        key: 'id',
+        staleAfter: 10,
+        revalidate: async id => {
+            await delay(10);
+            return {id, v: 'revalidated'};
+        }
+    });
+    const live = [];
+    lru.subscribe(value => live.push([value.id, value.v]));
+    lru.next({id: 'x', v: 1});
+    lru.next({id: 'y', v: 1});
+    await delay(20);
+
+    lru.get('x');
+    lru.get('y');
+    lru.next({id: 'x', v: 'newer'});
+    lru.delete('y');
+    await delay(20);
+
+    t.alike(lru.peek('x'), {id: 'x', v: 'newer'});
+    t.absent(lru.has('y'));
+    t.alike(live, [['x', 1], ['y', 1], ['x', 'newer']]);
+});
+
+test('staleAfter - reports revalidated values with another key', async t => {
+    let calls = 0;
+    const lru = new LRUReplaySubject({
+        key: 'id',
+        staleAfter: 10,
+        revalidateInterval: 0,
+        revalidate: id => {
+            calls++;
+            return {id: id + 'X'};
+        }
+    });
+    const errors = [];
+    lru.onLoadError.subscribe(({key, error}) => errors.push([key, error.message]));
+    lru.next({id: 'k'});
+    await delay(20);
+
+    lru.get('k');
+    await delay(5);
+
+    t.is(calls, 1);
+    t.alike(errors, [['k', "Revalidated value has the key 'kX' instead of 'k'"]]);
+    t.alike([...lru.keys()], ['k']);
+});
+
+test('staleAfter - maxAge still removes stale values', async t => {
+    const lru = new LRUReplaySubject({staleAfter: 10, maxAge: 30});
+    lru.next('a');
+    await delay(20);
+    t.ok(lru.isStale('a'));
+    t.alike([...lru.values()], ['a']);
+
+    await delay(30);
+    t.absent(lru.isStale('a'));
+    t.alike([...lru.values()], []);
+});
+
+test('secondary - spills evicted entries and rehydrates them by key', async t => {
+    const secondary = new MemoryStorage();
+    const evicted = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(({id}) => evicted.push(id));
+
+    const lru = new LRUReplaySubject({key: 'id', maxSize: 2, policy: 'fifo', secondary, onEviction});
+    lru.next({id: 'a'});
+    lru.next({id: 'b'});
+    lru.next({id: 'c'});
+    lru.next({id: 'd'});
+    lru.delete('d');
+    await lru.flush();
+
+    t.alike(evicted, ['a', 'b']);
+    t.is(secondary.records.size, 2);
+
+    const replayed = [];
+    const values = await lru.rehydrate({keys: ['a', 'x']}, {replayTo: ({id}) => replayed.push(id)});
+    await lru.flush();
+
+    t.alike(values, [{id: 'a'}]);
+    t.alike(replayed, ['a']);
+    t.alike([...lru.keys()], ['c', 'a']);
+    t.is(secondary.records.size, 1);
+});
+
+test('secondary - rehydrates by time range, skipping expired and recached keys', async t => {
+    const secondary = new MemoryStorage();
+    const lru = new LRUReplaySubject({key: 'id', maxSize: 1, policy: 'fifo', secondary});
+
+    lru.next({id: 'a', v: 1});
+    await delay(5);
+    lru.next({id: 'b', v: 1}, {maxAge: 20});
+    await delay(5);
+    const middle = Date.now();
+    lru.next({id: 'c', v: 1});
+    lru.next({id: 'd', v: 1});
+    await delay(30);
+    await lru.flush();
+    t.is(secondary.records.size, 3);
+
+    t.alike(await lru.rehydrate({until: middle}), [{id: 'a', v: 1}], 'b has expired');
+    t.alike([...lru.values()], [{id: 'a', v: 1}]);
+
+    lru.next({id: 'c', v: 2});
+    t.alike(await lru.rehydrate({since: new Date(middle)}), [{id: 'd', v: 1}], 'c was cached anew');
+    await lru.flush();
+    t.alike([...secondary.records.keys()].sort(), ['"a"', '"c"']);
+    t.alike((await secondary.get('"c"')).value, {id: 'c', v: 2});
+});
+
+test('secondary - drops spilled entries of keys cached anew, deleted or cleared', async t => {
+    const secondary = new MemoryStorage();
+    const lru = new LRUReplaySubject({key: 'id', maxSize: 1, policy: 'fifo', secondary, onNullish: 'tombstone'});
+
+    lru.next({id: 'a', v: 1});
+    lru.next({id: 'b', v: 1});
+    lru.next({id: 'a', v: 2});
+    lru.next(tombstone('a'));
+    await lru.flush();
+    t.alike([...secondary.records.keys()], ['"b"']);
+
+    lru.delete('b');
+    lru.next({id: 'c', v: 1});
+    lru.next({id: 'd', v: 1});
+    lru.clear();
+    await lru.flush();
+    t.alike([...secondary.records.keys()], ['"c"']);
+
+    lru.next({id: 'c', v: 2});
+    lru.clear();
+    t.alike(await lru.rehydrate(), []);
+});
+
+test('secondary - spilled entries can replace eviction notifications', async t => {
+    const evicted = [];
+    const onEviction = new Subject();
+    onEviction.subscribe(value => evicted.push(value));
+
+    const lru = new LRUReplaySubject({
+        maxSize: 1,
+        policy: 'fifo',
+        secondary: new MemoryStorage(),
+        notifySpilled: false,
+        onEviction
+    });
+    lru.next('a');
+    lru.next('b');
+    await lru.flush();
+
+    t.alike(evicted, []);
+    await t.exception.all(new LRUReplaySubject().rehydrate(), TypeError);
+});
+
+test('sync - hands over the state and forwards changes over a MessageChannel', async t => {
+    const {port1, port2} = new MessageChannel();
+    t.teardown(() => port1.close());
+
+    const main = new LRUReplaySubject({key: 'id'});
+    const worker = new LRUReplaySubject({key: 'id'});
+    main.next({id: 'a', v: 1});
+    main.next({id: 'b', v: 1}, {maxAge: 60000});
+
+    const received = [];
+    worker.subscribe(({id, v}) => received.push([id, v]));
+    const mainSync = syncSubject(main, port1, {id: 'main'});
+    const workerSync = syncSubject(worker, port2, {id: 'worker'});
+    await delay(20);
+
+    t.alike([...worker.entriesAscending()], [...main.entriesAscending()]);
+    t.ok(worker.expiresIn('b') <= 60000 && worker.expiresIn('b') > 59000);
+    t.is(worker.expiresIn('a'), Number.POSITIVE_INFINITY);
+
+    main.next({id: 'a', v: 2});
+    worker.next({id: 'c', v: 1});
+    main.delete('b');
+    await delay(20);
+
+    t.alike([...worker.values()].sort((x, y) => x.id.localeCompare(y.id)), [{id: 'a', v: 2}, {id: 'c', v: 1}]);
+    t.alike([...main.values()].sort((x, y) => x.id.localeCompare(y.id)), [{id: 'a', v: 2}, {id: 'c', v: 1}]);
+    t.alike(received, [['a', 1], ['b', 1], ['c', 1], ['a', 2]]);
+
+    worker.clear();
+    await delay(20);
+    t.is(main.size, 0);
+
+    mainSync.unsubscribe();
+    workerSync.unsubscribe();
+    main.next({id: 'd'});
+    await delay(20);
+    t.absent(worker.has('d'));
+});
+
+test('sync - resolves concurrent writes by last writer wins', async t => {
+    const {port1, port2} = new MessageChannel();
+    t.teardown(() => port1.close());
+
+    const a = new LRUReplaySubject({key: 'id'});
+    const b = new LRUReplaySubject({key: 'id'});
+    const syncs = [syncSubject(a, port1, {id: 'a'}), syncSubject(b, port2, {id: 'b'})];
+    t.teardown(() => syncs.forEach(sync => sync.unsubscribe()));
+    await delay(20);
+
+    a.next({id: 'k', from: 'a'});
+    b.next({id: 'k', from: 'b'});
+    await delay(20);
+
+    t.alike(a.peek('k'), b.peek('k'));
+    t.is(a.peek('k').from, 'b', 'the later write, or the higher id on a tie, wins');
+
+    b.delete('k');
+    await delay(20);
+    t.absent(a.has('k'));
+    a.next({id: 'k', from: 'a again'});
+    await delay(20);
+
+    t.alike(a.peek('k'), b.peek('k'));
+    t.is(a.peek('k').from, 'a again');
+});
+
+test('sync - connects any number of subjects over a BroadcastChannel', async t => {
+    const channels = [new BroadcastChannel('lru-sync-test'), new BroadcastChannel('lru-sync-test'), new BroadcastChannel('lru-sync-test')];
+    t.teardown(() => channels.forEach(channel => channel.close()));
+
+    const subjects = channels.map(() => new LRUReplaySubject({key: 'id'}));
+    subjects[0].next({id: 'early'});
+    const syncs = subjects.map((subject, i) => syncSubject(subject, channels[i], {channel: 'quotes'}));
+    t.teardown(() => syncs.forEach(sync => sync.unsubscribe()));
+
+    const other = new LRUReplaySubject({key: 'id'});
+    const otherChannel = new BroadcastChannel('lru-sync-test');
+    t.teardown(() => otherChannel.close());
+    const otherSync = syncSubject(other, otherChannel, {channel: 'trades'});
+    t.teardown(() => otherSync.unsubscribe());
+    await delay(30);
+
+    subjects[2].next({id: 'late'});
+    await delay(30);
+
+    for (const subject of subjects) {
+        t.alike([...subject.keys()].sort(), ['early', 'late']);
+    }
+    t.is(other.size, 0, 'subjects on other channels are left alone');
+});
+
+test('sync - reports received values the subject cannot cache', async t => {
+    const {port1, port2} = new MessageChannel();
+    t.teardown(() => port1.close());
+
+    const sender = new LRUReplaySubject({key: 'id'});
+    const receiver = new LRUReplaySubject({key: 'id', maxWeight: 10, sizeOf: value => value.w, validate: value => value.w > 0});
+    const rejected = [];
+    receiver.onRejected.subscribe(({value, reason}) => rejected.push(`${value.id}:${reason.constructor.name}:${value.w}`));
+
+    sender.next({id: 'heavy', w: 50});
+    sender.next({id: 'invalid', w: 0});
+    sender.next({id: 'ok', w: 5});
+    const syncs = [syncSubject(sender, port1, {id: 'sender'}), syncSubject(receiver, port2, {id: 'receiver'})];
+    t.teardown(() => syncs.forEach(sync => sync.unsubscribe()));
+    await delay(20);
+
+    sender.next({id: 'heavy', w: 60});
+    sender.next({id: 'later', w: 5});
+    await delay(20);
+
+    t.alike([...receiver.keys()].sort(), ['later', 'ok']);
+    // Both handshakes carry the rejected values.
+    t.alike([...new Set(rejected)], ['heavy:RangeError:50', 'invalid:TypeError:0', 'heavy:RangeError:60']);
+});
+
+test('sync - rejects ports that cannot be listened to', t => {
+    t.exception.all(() => syncSubject(new LRUReplaySubject(), {postMessage() {}}), TypeError);
+});
+
+test('iterate - replays cached values, then yields live values until completion', async t => {
+    const subject = new LRUReplaySubject({key: 'id'});
+    subject.next({id: 1});
+    subject.next({id: 2});
+
+    const values = [];
+    const done = (async () => {
+        for await (const value of subject) {
+            values.push(value.id);
+        }
+    })();
+
+    await delay(10);
+    subject.next({id: 3});
+    subject.next({id: 4});
+    subject.complete();
+    await done;
+
+    t.alike(values, [2, 1, 3, 4]);
+    t.absent(subject.observed);
+});
+
+test('iterate - takes replay options and unsubscribes when the loop ends early', async t => {
+    const subject = new LRUReplaySubject({key: 'id'});
+    for (let i = 1; i <= 5; i++) subject.next({id: i});
+
+    const values = [];
+    for await (const value of subject.iterate({order: 'ascending', limit: 3})) {
+        values.push(value.id);
+        if (value.id === 4) break;
+    }
+
+    t.alike(values, [3, 4]);
+    t.absent(subject.observed);
+});
+
+test('iterate - bounds the buffer of live values with an overflow policy', async t => {
+    const subject = new LRUReplaySubject({key: 'id'});
+    subject.next({id: 'cached'});
+
+    const oldest = subject.iterate({bufferSize: 2});
+    const newest = subject.iterate({bufferSize: 2, overflow: 'drop-newest'});
+    const failing = subject.iterate({bufferSize: 2, overflow: 'error'});
+    await Promise.all([oldest.next(), newest.next(), failing.next()]);
+
+    for (let i = 1; i <= 4; i++) subject.next({id: i});
+    subject.complete();
+
+    const rest = async iterator => {
+        const values = [];
+        for await (const value of iterator) values.push(value.id);
+        return values;
+    };
+    t.alike(await rest(oldest), [3, 4]);
+    t.alike(await rest(newest), [1, 2]);
+
+    t.alike((await failing.next()).value, {id: 1});
+    t.alike((await failing.next()).value, {id: 2});
+    await t.exception.all(failing.next(), RangeError);
+});
+
+test('iterate - does not count replayed values towards the buffer', async t => {
+    const subject = new LRUReplaySubject({key: 'id'});
+    for (let i = 1; i <= 5; i++) subject.next({id: i});
+
+    const iterator = subject.iterate({bufferSize: 1, overflow: 'error', order: 'ascending'});
+    subject.next({id: 6});
+    subject.complete();
+
+    const values = [];
+    for await (const value of iterator) values.push(value.id);
+    t.alike(values, [1, 2, 3, 4, 5, 6]);
+});
+
+test('iterate - throws the error of the subject after the buffered values', async t => {
+    const subject = new LRUReplaySubject({key: 'id'});
+    subject.next({id: 1});
+    const iterator = subject.iterate();
+    subject.error(new Error('boom'));
+
+    t.alike((await iterator.next()).value, {id: 1});
+    await t.exception(iterator.next(), /boom/);
+});
+
+test('iterate - rejects invalid options', t => {
+    const subject = new LRUReplaySubject();
+    t.exception.all(() => subject.iterate({bufferSize: 0}), TypeError);
+    t.exception.all(() => subject.iterate({overflow: 'block'}), TypeError);
+});
+
+test('streams - pipes the replay and live values of a subject to a Writable', async t => {
+    const subject = new LRUReplaySubject({key: 'id'});
+    subject.next({id: 1});
+    subject.next({id: 2});
+
+    const written = [];
+    const writable = new Writable({
+        objectMode: true,
+        highWaterMark: 1,
+        write(value, encoding, callback) {
+            written.push(value.id);
+            setTimeout(callback, 5);
+        }
+    });
+    const piped = pipeline(toReadable(subject, {order: 'ascending', highWaterMark: 1}), writable);
+
+    await delay(10);
+    for (let i = 3; i <= 6; i++) subject.next({id: i});
+    subject.complete();
+    await piped;
+
+    t.alike(written, [1, 2, 3, 4, 5, 6]);
+    t.absent(subject.observed);
+});
+
+test('streams - stops reading from the subject when the Readable is destroyed', async t => {
+    const subject = new LRUReplaySubject({key: 'id'});
+    subject.next({id: 1});
+
+    const readable = toReadable(subject);
+    for await (const value of readable) {
+        t.alike(value, {id: 1});
+        break;
+    }
+    await delay(10);
+
+    t.ok(readable.destroyed);
+    t.absent(subject.observed);
+});
+
+test('streams - feeds a subject from a Readable', async t => {
+    const subject = new LRUReplaySubject({key: 'id'});
+    const values = [];
+    subject.subscribe({next: value => values.push(value.id), complete: () => values.push('complete')});
+
+    await fromReadable(subject, Readable.from([{id: 1}, {id: 2}, {id: 3}]), {complete: true});
+
+    t.alike(values, [1, 2, 3, 'complete']);
+    t.alike([...subject.keys()].sort(), [1, 2, 3]);
+});
+
+test('streams - rejects with the error of the Readable or of the subject', async t => {
+    const subject = new LRUReplaySubject({key: 'id', onMissingKey: 'throw'});
+
+    const failing = new Readable({
+        objectMode: true,
+        read() {
+            this.destroy(new Error('broken stream'));
+        }
+    });
+    await t.exception(fromReadable(subject, failing), /broken stream/);
+
+    const source = Readable.from([{id: 1}, {name: 'no id'}, {id: 2}]);
+    await t.exception.all(fromReadable(subject, source), TypeError);
+    t.alike([...subject.keys()], [1]);
+    t.ok(source.destroyed);
+});
+
+test('sync - remembers a bounded number of deletions for a bounded time', async t => {
+    const {port1, port2} = new MessageChannel();
+    t.teardown(() => port1.close());
+
+    const lru = new LRUReplaySubject({maxSize: 10});
+    const sync = syncSubject(lru, port1, {id: 'a', maxTombstones: 50, tombstoneMaxAge: 50});
+    t.teardown(() => sync.unsubscribe());
+    for (let i = 0; i < 5000; i++) lru.next(i);
+
+    const states = [];
+    port2.on('message', message => {
+        if (message.type === 'state') states.push(message.entries);
+    });
+    const hello = () => port2.postMessage({protocol: 'lrureplaysubject-sync', channel: 'default', from: 'probe', type: 'hello', entries: []});
+
+    hello();
+    await delay(20);
+    const deletions = states[0].filter(entry => entry.deleted);
+    t.is(deletions.length, 50);
+    t.is(states[0].length - deletions.length, lru.size);
+
+    await delay(50);
+    hello();
+    await delay(20);
+    t.is(states[1].filter(entry => entry.deleted).length, 0);
+});